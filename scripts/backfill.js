@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/*
+Bulk inventory and backfill: first-time ingestion of every API Gateway API/stage.
+
+For each region:
+  1. Inventory REST APIs (v1: get-rest-apis + get-stages) and HTTP APIs
+     (v2: get-apis + get-stages; WebSocket APIs are skipped)
+  2. Export each {apiId, stage} to openapi/<region>/<apiId>/<stage>.json
+  3. Run the spec_sync flow for it (service = API name, stage = stage name;
+     `postman:service` / `postman:domain` tags override service and --domain)
+
+API stages can be filtered by tags, API name and stage name (see
+scripts/lib/api_filters.js), e.g. --include-tags postman=managed:true.
+
+Ends with a created/updated/skipped/failed summary (optionally written as JSON
+with --summary-file) and exits 1 if anything failed.
+
+Inputs (env/args):
+  env POSTMAN_API_KEY, POSTMAN_WORKSPACE_ID (required, as for spec_sync.js)
+  args --regions <r1,r2,...> (default: $AWS_REGION / $AWS_DEFAULT_REGION)
+  args --domain <domain> (default: "demo")
+  args --api-type <rest|http|all> (default: all)
+  args --output-dir <dir> (default: openapi)
+  args --concurrency <n> (default: 1; number of spec syncs in flight, max 4)
+  args --skip-export (optional; sync files already under --output-dir instead of re-exporting)
+  args --summary-file <path> (optional; write the summary as JSON)
+  args --include-tags / --exclude-tags / --include-names / --exclude-names /
+       --include-stages / --exclude-stages <a,b,...> (optional; override config "inventory")
+  args --config <path> (default: config/environments.json; read for "inventory" filters)
+  args --state-file, --poll, --force, --dry-run, --max-retries and the naming /
+       collection option flags are passed through to spec_sync.js
+
+Notes:
+- All syncs share one state store (so their entry writes are queued, not raced)
+  and one workspace index, so the workspace is listed once per run. --state-file
+  accepts the same file paths and s3:// / dynamodb:// URIs as spec_sync.js
+- Exports run one at a time; only the Postman side runs concurrently. Keep
+  --concurrency low: 429s are retried, but every retry slows the whole batch
+- State entries are keyed by domain:service:stage, so an API that exists with
+  the same name and stage in several regions is synced once (first region
+  wins) and the other copies are reported as skipped
+*/
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { detectApiType, exportHttpApi, exportRestApi } = require('./export_openapi');
+const { syncSpec } = require('./spec_sync');
+const { resolveInventoryFilters, checkFilters, namingFromTags } = require('./lib/api_filters');
+const { openStateStore, DEFAULT_STATE_FILE } = require('./lib/state_store');
+
+const MAX_CONCURRENCY = 4;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const k = argv[i];
+    if (k.startsWith('--')) {
+      const key = k.replace(/^--/, '');
+      const val = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+      args[key] = val;
+    }
+  }
+  return args;
+}
+
+function loadConfig(configPath) {
+  try {
+    return fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : null;
+  } catch (e) {
+    console.warn(`Could not parse ${configPath}: ${e.message}`);
+    return null;
+  }
+}
+
+function ensureDirFor(filePath) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function awsJson(args, region) {
+  // The AWS CLI follows pagination tokens itself unless --no-paginate is passed
+  const out = execFileSync('aws', [...args, '--region', region, '--output', 'json'], {
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer: 64 * 1024 * 1024,
+  });
+  return out.trim() ? JSON.parse(out) : {};
+}
+
+function inventoryRegion(region, apiType) {
+  const targets = [];
+  if (apiType === 'all' || apiType === 'rest') {
+    for (const api of awsJson(['apigateway', 'get-rest-apis'], region).items || []) {
+      const stages = awsJson(['apigateway', 'get-stages', '--rest-api-id', api.id], region).item || [];
+      for (const stage of stages) {
+        targets.push({
+          region, apiType: 'rest', apiId: api.id, apiName: api.name, stage: stage.stageName,
+          tags: { ...api.tags, ...stage.tags },
+        });
+      }
+    }
+  }
+  if (apiType === 'all' || apiType === 'http') {
+    for (const api of awsJson(['apigatewayv2', 'get-apis'], region).Items || []) {
+      if (api.ProtocolType && api.ProtocolType !== 'HTTP') continue;
+      const stages = awsJson(['apigatewayv2', 'get-stages', '--api-id', api.ApiId], region).Items || [];
+      for (const stage of stages) {
+        targets.push({
+          region, apiType: 'http', apiId: api.ApiId, apiName: api.Name, stage: stage.StageName,
+          tags: { ...api.Tags, ...stage.Tags },
+        });
+      }
+    }
+  }
+  return targets;
+}
+
+function targetLabel(t) {
+  return `${t.region}/${t.apiId}/${t.stage}`;
+}
+
+function exportTarget(target, outputDir, skipExport) {
+  const file = path.join(outputDir, target.region, target.apiId, `${target.stage}.json`);
+  if (skipExport) {
+    if (!fs.existsSync(file)) throw new Error(`--skip-export: ${file} does not exist`);
+    return file;
+  }
+  ensureDirFor(file);
+  const type = target.apiType || detectApiType(target.apiId, target.region);
+  const ok = type === 'http'
+    ? exportHttpApi(target.apiId, target.stage, file, target.region)
+    : exportRestApi(target.apiId, target.stage, file, target.region);
+  if (!ok || !fs.existsSync(file) || fs.statSync(file).size === 0) {
+    throw new Error(`Export failed for ${targetLabel(target)}`);
+  }
+  return file;
+}
+
+// Inventory every region and apply the filters; kept targets get service/domain (tags win over API name / --domain)
+function collectTargets({ regions, apiType, filters, domain, log = console.log }) {
+  const targets = [];
+  const excluded = [];
+  for (const region of regions) {
+    log(`Inventorying ${apiType === 'all' ? 'REST and HTTP' : apiType.toUpperCase()} APIs in ${region}...`);
+    const found = inventoryRegion(region, apiType);
+    let kept = 0;
+    for (const target of found) {
+      const { included, reason } = checkFilters({ name: target.apiName, stage: target.stage, tags: target.tags }, filters);
+      if (!included) {
+        excluded.push({ target: targetLabel(target), name: target.apiName, reason });
+        continue;
+      }
+      const naming = namingFromTags(target.tags);
+      target.service = naming.service || target.apiName;
+      target.domain = naming.domain || domain || 'demo';
+      targets.push(target);
+      kept++;
+    }
+    log(`  ${found.length} API stage(s), ${found.length - kept} excluded by filters`);
+  }
+  return { targets, excluded };
+}
+
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+function printSummary(summary) {
+  const counts = {};
+  for (const r of summary.results) counts[r.result] = (counts[r.result] || 0) + 1;
+  console.log('');
+  console.log('Backfill summary:');
+  for (const result of ['created', 'updated', 'skipped', 'planned', 'failed']) {
+    if (counts[result]) console.log(`  ${result}: ${counts[result]}`);
+  }
+  if (summary.excluded.length) console.log(`  excluded by filters: ${summary.excluded.length}`);
+  const failed = summary.results.filter(r => r.result === 'failed');
+  for (const f of failed) console.log(`  ✗ ${f.target} (${f.service}): ${f.error}`);
+}
+
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = parseArgs(process.argv);
+      const regionsArg = args.regions || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION;
+      const apiType = String(args['api-type'] || 'all').toLowerCase();
+      const outputDir = args['output-dir'] || 'openapi';
+      const stateFile = args['state-file'] || DEFAULT_STATE_FILE;
+      const concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, parseInt(args.concurrency || '1', 10) || 1));
+
+      if (!regionsArg || regionsArg === true || !['rest', 'http', 'all'].includes(apiType)) {
+        console.error('Usage: node scripts/backfill.js --regions us-east-1,eu-west-1 [--domain <domain>] [--api-type rest|http|all] [--output-dir openapi] [--concurrency 1-4] [--skip-export] [--summary-file path] [--include-tags k=v,...] [--exclude-tags ...] [--include-names ...] [--exclude-names ...] [--include-stages ...] [--exclude-stages ...] [--state-file path] [--poll] [--force] [--dry-run]');
+        process.exit(2);
+      }
+      const regions = String(regionsArg).split(',').map(r => r.trim()).filter(Boolean);
+
+      const filters = resolveInventoryFilters({ config: loadConfig(args.config || 'config/environments.json'), args });
+
+      const { targets, excluded } = collectTargets({ regions, apiType, filters, domain: args.domain });
+
+      const summary = { startedAt: new Date().toISOString(), regions, results: [], excluded };
+      const store = openStateStore(stateFile);
+      const seen = new Map();
+      const queue = [];
+      for (const target of targets) {
+        const id = `${target.domain}:${target.service}:${target.stage}`;
+        if (seen.has(id)) {
+          summary.results.push({
+            target: targetLabel(target),
+            service: target.service,
+            domain: target.domain,
+            result: 'skipped',
+            reason: `same service/stage already synced from ${seen.get(id)}`,
+          });
+          continue;
+        }
+        seen.set(id, targetLabel(target));
+        queue.push(target);
+      }
+
+      await runPool(queue, concurrency, async (target) => {
+        const label = targetLabel(target);
+        const record = { target: label, service: target.service, domain: target.domain, apiType: target.apiType };
+        try {
+          console.log(`\n=== ${label} (${target.domain}/${target.service}) ===`);
+          const file = exportTarget(target, outputDir, Boolean(args['skip-export']));
+          const outcome = await syncSpec({
+            ...args,
+            domain: target.domain,
+            service: target.service,
+            stage: target.stage,
+            region: target.region,
+            openapi: file,
+            'state-file': stateFile,
+          }, { store });
+          Object.assign(record, { result: outcome.result, specId: outcome.specId, collectionUid: outcome.collectionUid });
+        } catch (err) {
+          Object.assign(record, { result: 'failed', error: err.message.split('\n')[0] });
+          console.error(`${label} failed: ${err.message}`);
+        }
+        summary.results.push(record);
+      });
+
+      summary.finishedAt = new Date().toISOString();
+      printSummary(summary);
+      if (args['summary-file']) {
+        ensureDirFor(args['summary-file']);
+        fs.writeFileSync(args['summary-file'], JSON.stringify(summary, null, 2));
+        console.log(`Summary written to ${args['summary-file']}`);
+      }
+      if (summary.results.some(r => r.result === 'failed')) process.exit(1);
+    } catch (err) {
+      console.error(err.stack || String(err));
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { collectTargets, exportTarget, runPool, targetLabel };
@@ -6,28 +6,41 @@ Inputs (env/args):
   env POSTMAN_API_KEY (required)
   env POSTMAN_WORKSPACE_ID (required)
   args --domain <domain> --service <service> --stage <stage> [--region <region>]
-  args --openapi <path to openapi.json> (optional; used to derive baseUrl)
+  args --openapi <path to openapi.json|yaml> (optional; used to derive baseUrl and auth variables, OpenAPI 3.x or Swagger 2.0)
   args --base-url <explicit base URL> (optional; overrides any derived value)
   args --env-uid <existing environment UID> (optional; skip lookup)
+  args --dry-run (optional; resolve the environment and print the plan without writing)
+  args --max-retries <n> (optional; retries per Postman API call on 429/5xx, default 5 or POSTMAN_MAX_RETRIES)
+  args --env-name-template <template> (optional; overrides config "naming.environment")
+  args --config <path> (default: config/environments.json; only read for naming templates)
 
-Naming:
-  envName = `[${domain}] ${service} #env-${region? region+'-': ''}${stage}`
+Naming (template from scripts/lib/naming.js):
+  envName = `[{domain}] {service} #env-{region}-{stage}` (the region segment is dropped when no region is given)
 
 Variables written (non-sensitive defaults):
-  - baseUrl (from --base-url or openapi.servers[0].url if present)
+  - baseUrl (from --base-url, openapi.servers[0].url, or Swagger 2.0 host/basePath)
   - stage (from --stage)
   - region (if provided)
   - apiKey (empty string placeholder)
   - bearerToken (empty string placeholder)
+  - awsAccessKeyId, awsSecretAccessKey, awsSessionToken (empty secrets) and awsService (execute-api)
+    when --openapi has IAM-authorized methods, for the collection's AWS Signature auth (scripts/lib/aws_auth.js)
+  On update, apiKey, bearerToken and the AWS credentials keep the values already set in the environment;
+  the placeholders are only written empty when the key is new.
 
 Notes:
   - Uses Postman Environments API: POST /environments?workspaceId=... and PUT /environments/:uid
   - Resolves by name within the workspace when envUid not provided
+  - 429s and transient 5xx/network errors are retried with backoff (scripts/lib/postman_client.js)
 */
 
 const fs = require('fs');
-
-const API_BASE = 'https://api.getpostman.com';
+const { resolveTemplates, renderName } = require('./lib/naming');
+const { pmFetch, setRetryOptions } = require('./lib/postman_client');
+const { findInWorkspace } = require('./lib/workspace_index');
+const { normalizeSpecVersion } = require('./lib/openapi_version');
+const { parseSpecText } = require('./lib/spec_loader');
+const { authVariables, keepAuthSecrets } = require('./lib/aws_auth');
 
 function parseArgs(argv) {
   const args = {};
@@ -48,50 +61,45 @@ function requireEnv(name) {
   return v;
 }
 
-async function pmFetch(pathname, opts = {}) {
-  const resp = await fetch(`${API_BASE}${pathname}`, opts);
-  if (!resp.ok) {
-    const body = await resp.text().catch(() => '');
-    throw new Error(`Postman API ${opts.method || 'GET'} ${pathname} failed: ${resp.status} ${resp.statusText}\n${body}`);
+function loadConfig(configPath) {
+  try {
+    return fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : null;
+  } catch (e) {
+    console.warn(`Failed to load config ${configPath}: ${e.message}`);
+    return null;
   }
-  const ct = resp.headers.get('content-type') || '';
-  if (ct.includes('application/json')) return { resp, data: await resp.json() };
-  return { resp, data: await resp.text() };
 }
 
-function deriveBaseUrl({ baseUrlArg, openapiPath }) {
-  if (baseUrlArg) return baseUrlArg;
-  if (openapiPath) {
-    try {
-      const obj = JSON.parse(fs.readFileSync(openapiPath, 'utf8'));
-      const url = obj?.servers?.[0]?.url;
-      if (typeof url === 'string' && url.trim()) return url.trim();
-    } catch (e) {
-      // ignore parse errors and fall through
-    }
+function loadSpec(openapiPath) {
+  if (!openapiPath) return null;
+  try {
+    return normalizeSpecVersion(parseSpecText(fs.readFileSync(openapiPath, 'utf8'), openapiPath)).spec;
+  } catch (e) {
+    // ignore parse errors and fall through
+    return null;
   }
+}
+
+function deriveBaseUrl({ baseUrlArg, spec }) {
+  if (baseUrlArg) return baseUrlArg;
+  const url = spec?.servers?.[0]?.url;
+  if (typeof url === 'string' && url.trim()) return url.trim();
   return '';
 }
 
-function buildValues({ baseUrl, stage, region }) {
+function buildValues({ baseUrl, stage, region, authVars = [] }) {
   const v = [];
   const push = (key, value) => v.push({ key, value: String(value ?? ''), type: 'default', enabled: true });
   if (baseUrl) push('baseUrl', baseUrl);
   push('stage', stage);
   if (region) push('region', region);
-  push('apiKey', '');
-  push('bearerToken', '');
+  for (const key of ['apiKey', 'bearerToken']) {
+    if (!authVars.some(a => a.key === key)) push(key, '');
+  }
+  v.push(...authVars);
   return v;
 }
 
-async function listEnvironments(workspaceId, apiKey) {
-  const { data } = await pmFetch(`/environments?workspaceId=${encodeURIComponent(workspaceId)}`, {
-    headers: { 'x-api-key': apiKey },
-  });
-  // expect { environments: [ { uid, name, ... } ] }
-  return data?.environments || data?.environment || data;
-}
-
 async function createEnvironment(workspaceId, name, values, apiKey) {
   const body = { environment: { name, values } };
   const { data } = await pmFetch(`/environments?workspaceId=${encodeURIComponent(workspaceId)}`, {
@@ -103,7 +111,11 @@ async function createEnvironment(workspaceId, name, values, apiKey) {
 }
 
 async function updateEnvironment(envUid, name, values, apiKey) {
-  const body = { environment: { name, values } };
+  // PUT replaces every value: keep the auth secrets users entered
+  const { data: current } = await pmFetch(`/environments/${encodeURIComponent(envUid)}`, {
+    headers: { 'x-api-key': apiKey },
+  });
+  const body = { environment: { name, values: keepAuthSecrets(values, current?.environment?.values) } };
   const { data } = await pmFetch(`/environments/${encodeURIComponent(envUid)}`, {
     method: 'PUT',
     headers: { 'x-api-key': apiKey, 'content-type': 'application/json' },
@@ -122,27 +134,36 @@ async function updateEnvironment(envUid, name, values, apiKey) {
     const openapiPath = args.openapi || '';
     const baseUrlArg = args['base-url'] || '';
     const envUidArg = args['env-uid'] || '';
+    const dryRun = Boolean(args['dry-run']);
 
     if (!domain || !service || !stage) {
-      console.error('Usage: node scripts/environments_upsert.js --domain <d> --service <s> --stage <st> [--region <r>] [--openapi openapi.json] [--base-url URL] [--env-uid UID]');
+      console.error('Usage: node scripts/environments_upsert.js --domain <d> --service <s> --stage <st> [--region <r>] [--openapi openapi.json] [--base-url URL] [--env-uid UID] [--dry-run] [--max-retries N]');
       process.exit(2);
     }
 
     const POSTMAN_API_KEY = requireEnv('POSTMAN_API_KEY');
     const POSTMAN_WORKSPACE_ID = requireEnv('POSTMAN_WORKSPACE_ID');
+    setRetryOptions({ maxRetries: args['max-retries'] });
 
-    const envName = `[${domain}] ${service} #env-${region ? region + '-' : ''}${stage}`;
-    const baseUrl = deriveBaseUrl({ baseUrlArg, openapiPath });
-    const values = buildValues({ baseUrl, stage, region });
+    const config = loadConfig(args.config || 'config/environments.json');
+    const templates = resolveTemplates({ config, service, args });
+    const envName = renderName(templates.environment, { domain, service, stage, region, env: '' });
+    const spec = loadSpec(openapiPath);
+    const baseUrl = deriveBaseUrl({ baseUrlArg, spec });
+    const values = buildValues({ baseUrl, stage, region, authVars: spec ? authVariables(spec) : [] });
 
     let envUid = envUidArg;
     if (!envUid) {
-      const envs = await listEnvironments(POSTMAN_WORKSPACE_ID, POSTMAN_API_KEY);
-      const found = Array.isArray(envs) ? envs.find(e => e.name === envName) : null;
+      // Pages through every environment in the workspace
+      const found = await findInWorkspace('environments', POSTMAN_WORKSPACE_ID, envName, POSTMAN_API_KEY);
       envUid = found?.uid || '';
     }
 
-    if (envUid) {
+    if (dryRun) {
+      console.log('Dry run plan (no changes made):');
+      console.log(`  - ${envUid ? `update env ${envName} (${envUid})` : `create env ${envName}`}`);
+      console.log(`  - variables: ${values.map(v => v.key).join(', ')}`);
+    } else if (envUid) {
       await updateEnvironment(envUid, envName, values, POSTMAN_API_KEY);
       console.log(`Updated environment ${envName} (${envUid})`);
     } else {
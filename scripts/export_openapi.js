@@ -11,13 +11,26 @@ Usage:
     --stage <STAGE> \
     [--api-type http|rest] \
     [--output openapi.json] \
-    [--region <REGION>]
+    [--region <REGION>] \
+    [--include-tags postman=managed:true] [--exclude-tags ...] \
+    [--include-names ...] [--exclude-names ...] [--include-stages ...] [--exclude-stages ...] \
+    [--metadata-file export-meta.json]
 
 If --api-type is not provided, auto-detection will:
   1. Try to get API as HTTP API v2
   2. If that fails, try REST API v1
   3. Export using the appropriate command
 
+Filters (scripts/lib/api_filters.js; flags or "inventory" in config/environments.json):
+  The API's tags (plus the stage's tags) are read after type detection. An API
+  stage rejected by the filters is not exported and the script exits with code 3.
+  `postman:service` / `postman:domain` tag values are printed as the naming
+  inputs to pass to spec_sync.js and written to --metadata-file as JSON
+  ({ apiId, apiType, region, stage, tags, service, domain }).
+
+Also used by backfill.js (detectApiType, exportHttpApi, exportRestApi; `region` is optional).
+Stage names are quoted so HTTP API `$default` stages export correctly.
+
 Output:
   Creates openapi.json (or specified output file) with OpenAPI 3.0 spec.
   Exits with code 0 on success, non-zero on error.
@@ -25,6 +38,7 @@ Output:
 
 const { execSync } = require('child_process');
 const fs = require('fs');
+const { resolveInventoryFilters, hasFilters, checkFilters, namingFromTags } = require('./lib/api_filters');
 
 function parseArgs(argv) {
   const args = {};
@@ -56,12 +70,41 @@ function execCommand(command, options = {}) {
   }
 }
 
-function detectApiType(apiId) {
+function regionFlag(region) {
+  return region ? ` --region ${region}` : '';
+}
+
+function awsJson(command) {
+  const out = execSync(command, { stdio: ['ignore', 'pipe', 'pipe'], encoding: 'utf-8' });
+  return out.trim() ? JSON.parse(out) : {};
+}
+
+function getApiTags(apiId, type, stage, region) {
+  // API tags merged with stage tags (stage wins)
+  if (type === 'http') {
+    const api = awsJson(`aws apigatewayv2 get-api --api-id ${apiId}${regionFlag(region)} --output json`);
+    const st = awsJson(`aws apigatewayv2 get-stage --api-id ${apiId} --stage-name '${stage}'${regionFlag(region)} --output json`);
+    return { name: api.Name, tags: { ...api.Tags, ...st.Tags } };
+  }
+  const api = awsJson(`aws apigateway get-rest-api --rest-api-id ${apiId}${regionFlag(region)} --output json`);
+  const st = awsJson(`aws apigateway get-stage --rest-api-id ${apiId} --stage-name '${stage}'${regionFlag(region)} --output json`);
+  return { name: api.name, tags: { ...api.tags, ...st.tags } };
+}
+
+function loadConfig(configPath) {
+  try {
+    return fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function detectApiType(apiId, region) {
   console.log(`Detecting API type for ${apiId}...`);
   
   // Try HTTP API v2 first (most common)
   console.log('  Trying HTTP API (v2)...');
-  const httpResult = execCommand(`aws apigatewayv2 get-api --api-id ${apiId}`, {
+  const httpResult = execCommand(`aws apigatewayv2 get-api --api-id ${apiId}${regionFlag(region)}`, {
     stdio: 'pipe'
   });
   
@@ -72,7 +115,7 @@ function detectApiType(apiId) {
   
   // Try REST API v1
   console.log('  Trying REST API (v1)...');
-  const restResult = execCommand(`aws apigateway get-rest-api --rest-api-id ${apiId}`, {
+  const restResult = execCommand(`aws apigateway get-rest-api --rest-api-id ${apiId}${regionFlag(region)}`, {
     stdio: 'pipe'
   });
   
@@ -88,14 +131,14 @@ function detectApiType(apiId) {
   return null;
 }
 
-function exportHttpApi(apiId, stage, outputFile) {
+function exportHttpApi(apiId, stage, outputFile, region) {
   console.log(`Exporting HTTP API (v2) ${apiId} from stage ${stage}...`);
   const command = `aws apigatewayv2 export-api \\
     --api-id ${apiId} \\
     --output-type JSON \\
     --specification OAS30 \\
-    --stage-name ${stage} \\
-    ${outputFile}`;
+    --stage-name '${stage}'${regionFlag(region)} \\
+    '${outputFile}'`;
   
   const result = execCommand(command);
   if (!result.success) {
@@ -107,15 +150,15 @@ function exportHttpApi(apiId, stage, outputFile) {
   return true;
 }
 
-function exportRestApi(restApiId, stage, outputFile) {
+function exportRestApi(restApiId, stage, outputFile, region) {
   console.log(`Exporting REST API (v1) ${restApiId} from stage ${stage}...`);
   const command = `aws apigateway get-export \\
     --rest-api-id ${restApiId} \\
-    --stage-name ${stage} \\
+    --stage-name '${stage}' \\
     --export-type oas30 \\
     --parameters extensions='postman' \\
-    --accepts application/json \\
-    ${outputFile}`;
+    --accepts application/json${regionFlag(region)} \\
+    '${outputFile}'`;
   
   const result = execCommand(command);
   if (!result.success) {
@@ -127,82 +170,121 @@ function exportRestApi(restApiId, stage, outputFile) {
   return true;
 }
 
-(async () => {
-  try {
-    const args = parseArgs(process.argv);
-    const apiId = args['api-id'] || args.apiId;
-    const stage = args.stage;
-    const apiType = args['api-type'] || args.apiType;
-    const outputFile = args.output || args.o || 'openapi.json';
-
-    if (!apiId || !stage) {
-      console.error('Usage: node scripts/export_openapi.js --api-id <API_ID> --stage <STAGE> [--api-type http|rest] [--output openapi.json]');
-      console.error('');
-      console.error('Options:');
-      console.error('  --api-id <ID>       API Gateway ID (required)');
-      console.error('  --stage <STAGE>     Stage name (required)');
-      console.error('  --api-type <TYPE>   Force API type: "http" or "rest" (optional, auto-detected if not provided)');
-      console.error('  --output <FILE>     Output file path (default: openapi.json)');
-      process.exit(2);
-    }
+if (require.main === module) {
+  (async () => {
+    try {
+      const args = parseArgs(process.argv);
+      const apiId = args['api-id'] || args.apiId;
+      const stage = args.stage;
+      const apiType = args['api-type'] || args.apiType;
+      const outputFile = args.output || args.o || 'openapi.json';
+      const region = args.region;
+
+      if (!apiId || !stage) {
+        console.error('Usage: node scripts/export_openapi.js --api-id <API_ID> --stage <STAGE> [--api-type http|rest] [--output openapi.json] [--region REGION]');
+        console.error('');
+        console.error('Options:');
+        console.error('  --api-id <ID>       API Gateway ID (required)');
+        console.error('  --stage <STAGE>     Stage name (required)');
+        console.error('  --api-type <TYPE>   Force API type: "http" or "rest" (optional, auto-detected if not provided)');
+        console.error('  --output <FILE>     Output file path (default: openapi.json)');
+        console.error('  --region <REGION>   AWS region (optional, defaults to the AWS CLI configuration)');
+        console.error('  --include-tags / --exclude-tags / --include-names / --exclude-names / --include-stages / --exclude-stages <a,b>');
+        console.error('                      Only export API stages that pass the filters (exit 3 otherwise)');
+        console.error('  --metadata-file <FILE>  Write API tags and tag-derived --service/--domain as JSON');
+        process.exit(2);
+      }
 
-    // Determine API type
-    let detectedType = apiType?.toLowerCase();
+      // Determine API type
+      let detectedType = apiType?.toLowerCase();
     
-    if (!detectedType) {
-      detectedType = detectApiType(apiId);
       if (!detectedType) {
-        console.error('');
-        console.error('Could not auto-detect API type. Please specify --api-type http or --api-type rest');
-        console.error('');
-        console.error('To identify your API type manually:');
-        console.error('  aws apigatewayv2 get-apis        # Check for HTTP APIs (v2)');
-        console.error('  aws apigateway get-rest-apis      # Check for REST APIs (v1)');
-        process.exit(1);
+        detectedType = detectApiType(apiId, region);
+        if (!detectedType) {
+          console.error('');
+          console.error('Could not auto-detect API type. Please specify --api-type http or --api-type rest');
+          console.error('');
+          console.error('To identify your API type manually:');
+          console.error('  aws apigatewayv2 get-apis        # Check for HTTP APIs (v2)');
+          console.error('  aws apigateway get-rest-apis      # Check for REST APIs (v1)');
+          process.exit(1);
+        }
+      } else {
+        detectedType = detectedType.toLowerCase();
+        if (detectedType !== 'http' && detectedType !== 'rest') {
+          console.error(`Invalid API type: ${detectedType}. Must be "http" or "rest"`);
+          process.exit(2);
+        }
+        console.log(`Using specified API type: ${detectedType === 'http' ? 'HTTP API (v2)' : 'REST API (v1)'}`);
       }
-    } else {
-      detectedType = detectedType.toLowerCase();
-      if (detectedType !== 'http' && detectedType !== 'rest') {
-        console.error(`Invalid API type: ${detectedType}. Must be "http" or "rest"`);
-        process.exit(2);
+
+      // Tag/name/stage filters and tag-supplied naming inputs
+      const filters = resolveInventoryFilters({ config: loadConfig(args.config || 'config/environments.json'), args });
+      let apiInfo = null;
+      try {
+        apiInfo = getApiTags(apiId, detectedType, stage, region);
+      } catch (err) {
+        if (hasFilters(filters)) {
+          console.error(`Could not read tags for ${apiId}/${stage} to apply filters: ${err.stderr || err.message}`);
+          process.exit(1);
+        }
+        console.warn(`Could not read tags for ${apiId}/${stage}; skipping tag-based naming`);
+      }
+      if (apiInfo) {
+        const { included, reason } = checkFilters({ name: apiInfo.name, stage, tags: apiInfo.tags }, filters);
+        if (!included) {
+          console.log(`Skipping ${apiId}/${stage} (${apiInfo.name}): ${reason}`);
+          process.exit(3);
+        }
+        const naming = namingFromTags(apiInfo.tags);
+        if (naming.service || naming.domain) {
+          console.log(`Naming from tags:${naming.domain ? ` --domain "${naming.domain}"` : ''}${naming.service ? ` --service "${naming.service}"` : ''}`);
+        }
+        if (args['metadata-file']) {
+          fs.writeFileSync(args['metadata-file'], JSON.stringify({
+            apiId, apiType: detectedType, region: region || null, stage, name: apiInfo.name, tags: apiInfo.tags,
+            service: naming.service || apiInfo.name, domain: naming.domain,
+          }, null, 2));
+        }
       }
-      console.log(`Using specified API type: ${detectedType === 'http' ? 'HTTP API (v2)' : 'REST API (v1)'}`);
-    }
 
-    // Export based on type
-    let success = false;
-    if (detectedType === 'http') {
-      success = exportHttpApi(apiId, stage, outputFile);
-    } else {
-      success = exportRestApi(apiId, stage, outputFile);
-    }
+      // Export based on type
+      let success = false;
+      if (detectedType === 'http') {
+        success = exportHttpApi(apiId, stage, outputFile, region);
+      } else {
+        success = exportRestApi(apiId, stage, outputFile, region);
+      }
 
-    if (!success) {
-      console.error('');
-      console.error('Export failed. Troubleshooting:');
-      console.error('  1. Verify API ID is correct');
-      console.error('  2. Verify stage name is correct');
-      console.error('  3. Try the other API type if auto-detection was used');
-      console.error('  4. Ensure AWS credentials are configured');
-      process.exit(1);
-    }
+      if (!success) {
+        console.error('');
+        console.error('Export failed. Troubleshooting:');
+        console.error('  1. Verify API ID is correct');
+        console.error('  2. Verify stage name is correct');
+        console.error('  3. Try the other API type if auto-detection was used');
+        console.error('  4. Ensure AWS credentials are configured');
+        process.exit(1);
+      }
 
-    // Validate output
-    if (fs.existsSync(outputFile)) {
-      const stats = fs.statSync(outputFile);
-      if (stats.size === 0) {
-        console.error(`Warning: ${outputFile} is empty`);
+      // Validate output
+      if (fs.existsSync(outputFile)) {
+        const stats = fs.statSync(outputFile);
+        if (stats.size === 0) {
+          console.error(`Warning: ${outputFile} is empty`);
+          process.exit(1);
+        }
+        console.log(`✓ File size: ${(stats.size / 1024).toFixed(2)} KB`);
+      } else {
+        console.error(`Error: ${outputFile} was not created`);
         process.exit(1);
       }
-      console.log(`✓ File size: ${(stats.size / 1024).toFixed(2)} KB`);
-    } else {
-      console.error(`Error: ${outputFile} was not created`);
+
+    } catch (err) {
+      console.error(err.stack || String(err));
       process.exit(1);
     }
+  })();
+}
 
-  } catch (err) {
-    console.error(err.stack || String(err));
-    process.exit(1);
-  }
-})();
+module.exports = { detectApiType, exportHttpApi, exportRestApi };
 
@@ -0,0 +1,88 @@
+/*
+Inventory filters for API Gateway APIs (backfill.js, export_openapi.js).
+
+Filter lists (comma-separated on the CLI, arrays under "inventory" in
+config/environments.json; a CLI flag replaces the config list):
+  --include-tags / includeTags     key=value or key (tag present); values may use * and ?
+  --exclude-tags / excludeTags
+  --include-names / includeNames   API name globs, e.g. orders-*
+  --exclude-names / excludeNames
+  --include-stages / includeStages stage name globs
+  --exclude-stages / excludeStages
+
+An API stage is ingested when, for every kind that has include patterns, at
+least one matches, and no exclude pattern matches. Matching is
+case-insensitive. Stage tags override API tags with the same key.
+
+Tag values also feed naming: `postman:service` and `postman:domain` replace
+the API name and the --domain default for that API.
+*/
+
+const FILTER_KEYS = ['includeTags', 'excludeTags', 'includeNames', 'excludeNames', 'includeStages', 'excludeStages'];
+
+function flagFor(key) {
+  return key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(String).map(v => v.trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(Boolean);
+  return [];
+}
+
+function resolveInventoryFilters({ config, args = {} } = {}) {
+  const fromConfig = config?.inventory || {};
+  const filters = {};
+  for (const key of FILTER_KEYS) {
+    const flag = args[flagFor(key)];
+    filters[key] = flag !== undefined && flag !== true ? toList(flag) : toList(fromConfig[key]);
+  }
+  return filters;
+}
+
+function hasFilters(filters) {
+  return FILTER_KEYS.some(key => filters[key]?.length);
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function matchesGlob(value, pattern) {
+  return value != null && globToRegExp(pattern).test(String(value));
+}
+
+function matchesTag(tags, pattern) {
+  const eq = pattern.indexOf('=');
+  const keyPattern = eq === -1 ? pattern : pattern.slice(0, eq);
+  return Object.entries(tags || {}).some(([k, v]) =>
+    matchesGlob(k, keyPattern) && (eq === -1 || matchesGlob(v, pattern.slice(eq + 1))));
+}
+
+function checkFilters({ name, stage, tags }, filters) {
+  // { included, reason } - reason names the first filter that rejected the API stage
+  const kinds = [
+    ['Tags', pattern => matchesTag(tags, pattern), 'tag'],
+    ['Names', pattern => matchesGlob(name, pattern), 'name'],
+    ['Stages', pattern => matchesGlob(stage, pattern), 'stage'],
+  ];
+  for (const [kind, test, label] of kinds) {
+    const include = filters[`include${kind}`] || [];
+    if (include.length && !include.some(test)) {
+      return { included: false, reason: `no ${label} matches ${include.join(', ')}` };
+    }
+    const excluded = (filters[`exclude${kind}`] || []).find(test);
+    if (excluded) return { included: false, reason: `${label} matches excluded ${excluded}` };
+  }
+  return { included: true, reason: null };
+}
+
+function namingFromTags(tags) {
+  return {
+    service: tags?.['postman:service'] || null,
+    domain: tags?.['postman:domain'] || null,
+  };
+}
+
+module.exports = { resolveInventoryFilters, hasFilters, checkFilters, namingFromTags };
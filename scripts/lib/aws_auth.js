@@ -0,0 +1,193 @@
+/*
+API Gateway authorizers -> OpenAPI security schemes and Postman auth (used by spec_sync.js and environments_upsert.js).
+
+API Gateway exports describe authorizers with x-amazon-apigateway-authorizer /
+x-amazon-apigateway-authtype on an `apiKey` security scheme, which Postman turns
+into a useless "Authorization" API key. translateSecuritySchemes rewrites them:
+
+  Cognito user pool / JWT authorizer        -> http bearer (JWT)
+  Lambda authorizer, Authorization header   -> http bearer
+  Lambda authorizer, other header or query  -> apiKey on that header / query parameter
+  API key required (api_key scheme)         -> apiKey header x-api-key (kept)
+  IAM (awsSigv4, x-amazon-apigateway-auth)  -> http scheme AWS4-HMAC-SHA256
+
+Operations keep (or, for x-amazon-apigateway-auth: AWS_IAM, gain) their
+`security`. Postman generates bearer ({{bearerToken}}) and API key ({{apiKey}})
+auth from the standard schemes itself; it has no OpenAPI mapping for SigV4, so
+those requests inherit the collection auth that collectionAuth() returns and
+spec_sync.js sets after generating or syncing the collection.
+authVariables() lists the environment variables the generated auth refers to;
+keepAuthSecrets() carries the values users entered for them over an environment update.
+*/
+
+const SIGV4_SCHEME_NAME = 'sigv4';
+const SIGV4_SCHEME = {
+  type: 'http',
+  scheme: 'AWS4-HMAC-SHA256',
+  description: 'AWS Signature Version 4 (IAM authorization). In Postman: AWS Signature auth with the environment credentials.',
+};
+
+// Credentials users fill in themselves; created empty, never overwritten
+const AUTH_SECRET_KEYS = ['bearerToken', 'apiKey', 'awsAccessKeyId', 'awsSecretAccessKey', 'awsSessionToken'];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace', 'x-amazon-apigateway-any-method'];
+
+function stripAwsExtensions(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (!k.startsWith('x-amazon-apigateway-')) out[k] = v;
+  }
+  return out;
+}
+
+// First identity source as { in, name }: "method.request.header.X" (REST) or "$request.header.X" (HTTP API)
+function identitySource(scheme, authorizer) {
+  const sources = Array.isArray(authorizer?.identitySource)
+    ? authorizer.identitySource
+    : String(authorizer?.identitySource || '').split(',');
+  for (const source of sources.map(s => s.trim()).filter(Boolean)) {
+    const match = source.match(/^(?:method\.request|\$request)\.(header|querystring)\.(.+)$/i);
+    if (match) return { in: match[1].toLowerCase() === 'header' ? 'header' : 'query', name: match[2] };
+  }
+  return { in: scheme.in === 'query' ? 'query' : 'header', name: scheme.name || 'Authorization' };
+}
+
+function translateScheme(scheme) {
+  if (!scheme || typeof scheme !== 'object' || scheme.$ref) return scheme;
+  const authorizer = scheme['x-amazon-apigateway-authorizer'];
+  const authType = String(scheme['x-amazon-apigateway-authtype'] || authorizer?.type || '').toLowerCase();
+  if (!authType) return stripAwsExtensions(scheme);
+  if (authType === 'awssigv4' || authType === 'aws_iam') return { ...SIGV4_SCHEME };
+
+  const source = identitySource(scheme, authorizer);
+  const isJwt = authType === 'cognito_user_pools' || authType === 'jwt';
+  const kind = isJwt ? (authType === 'jwt' ? 'JWT authorizer' : 'Cognito user pool authorizer') : 'Lambda authorizer';
+  const issuer = authorizer?.jwtConfiguration?.issuer;
+  const details = [
+    authorizer?.providerARNs?.length ? `user pools: ${authorizer.providerARNs.join(', ')}` : null,
+    issuer ? `issuer: ${issuer}` : null,
+  ].filter(Boolean);
+  const description = `${kind} (API Gateway)${details.length ? `; ${details.join('; ')}` : ''}`;
+
+  if (source.in === 'header' && source.name.toLowerCase() === 'authorization') {
+    return { type: 'http', scheme: 'bearer', ...(isJwt ? { bearerFormat: 'JWT' } : {}), description };
+  }
+  return { type: 'apiKey', in: source.in, name: source.name, description };
+}
+
+// Returns a copy of components.securitySchemes with the API Gateway authorizers translated
+function translateSecuritySchemes(schemes) {
+  const out = {};
+  for (const [name, scheme] of Object.entries(schemes || {})) out[name] = translateScheme(scheme);
+  return out;
+}
+
+// x-amazon-apigateway-auth on an operation (AWS_IAM / NONE) -> `security`; mutates the operation
+function translateOperationAuth(operation) {
+  const auth = operation['x-amazon-apigateway-auth'];
+  delete operation['x-amazon-apigateway-auth'];
+  if (String(auth?.type || '').toUpperCase() !== 'AWS_IAM') return false;
+  const security = Array.isArray(operation.security) ? operation.security : [];
+  if (!security.some(req => req && SIGV4_SCHEME_NAME in req)) operation.security = [...security, { [SIGV4_SCHEME_NAME]: [] }];
+  return true;
+}
+
+// JWT authorizer scopes stay on the operation only while the scheme is OAuth2; a bearer scheme takes none
+function dropBearerScopes(operation, schemes) {
+  if (!Array.isArray(operation?.security)) return;
+  operation.security = operation.security.map((req) => {
+    const out = {};
+    for (const [name, scopes] of Object.entries(req || {})) {
+      const type = schemes?.[name]?.type;
+      out[name] = type && type !== 'oauth2' && type !== 'openIdConnect' ? [] : scopes;
+    }
+    return out;
+  });
+}
+
+function operationsOf(spec) {
+  const ops = [];
+  for (const pathItem of Object.values(spec?.paths || {})) {
+    if (!pathItem || typeof pathItem !== 'object') continue;
+    for (const method of HTTP_METHODS) {
+      if (pathItem[method]) ops.push(pathItem[method]);
+    }
+  }
+  return ops;
+}
+
+// Postman auth kinds ('bearer', 'apikey', 'awsv4') used by the operations of a spec (exported or translated)
+function authKinds(spec) {
+  const schemes = translateSecuritySchemes(spec?.components?.securitySchemes);
+  const kinds = new Set();
+  const operations = operationsOf(spec);
+  if (operations.some(op => String(op['x-amazon-apigateway-auth']?.type || '').toUpperCase() === 'AWS_IAM')) kinds.add('awsv4');
+  const requirements = [...(spec?.security || []), ...operations.flatMap(op => op.security || [])];
+  for (const requirement of requirements) {
+    for (const name of Object.keys(requirement || {})) {
+      const scheme = schemes[name];
+      if (!scheme) continue;
+      if (scheme.type === 'http' && /^aws4-hmac-sha256$/i.test(scheme.scheme || '')) kinds.add('awsv4');
+      else if (scheme.type === 'http' && /^bearer$/i.test(scheme.scheme || '')) kinds.add('bearer');
+      else if (scheme.type === 'apiKey') kinds.add('apikey');
+    }
+  }
+  return kinds;
+}
+
+// Collection-level auth for the spec's collection, or null when the generated request auth is enough.
+// SigV4 requests have no auth of their own and inherit it; requests of methods without authorization
+// inherit it too, which is harmless (API Gateway ignores the signature there).
+function collectionAuth(spec) {
+  if (!authKinds(spec).has('awsv4')) return null;
+  return {
+    type: 'awsv4',
+    awsv4: [
+      { key: 'accessKey', value: '{{awsAccessKeyId}}', type: 'string' },
+      { key: 'secretKey', value: '{{awsSecretAccessKey}}', type: 'string' },
+      { key: 'sessionToken', value: '{{awsSessionToken}}', type: 'string' },
+      { key: 'region', value: '{{region}}', type: 'string' },
+      { key: 'service', value: '{{awsService}}', type: 'string' },
+    ],
+  };
+}
+
+// Environment variables for the auth the collection uses; secrets are created empty and filled in by each user
+function authVariables(spec) {
+  const kinds = authKinds(spec);
+  const secret = key => ({ key, value: '', type: 'secret', enabled: true });
+  const vars = [];
+  if (kinds.has('bearer')) vars.push(secret('bearerToken'));
+  if (kinds.has('apikey')) vars.push(secret('apiKey'));
+  if (kinds.has('awsv4')) {
+    vars.push(
+      secret('awsAccessKeyId'),
+      secret('awsSecretAccessKey'),
+      secret('awsSessionToken'),
+      { key: 'awsService', value: 'execute-api', type: 'default', enabled: true }
+    );
+  }
+  return vars;
+}
+
+// `values` for a PUT of an existing environment (which replaces every value): auth secrets keep the value
+// they have in `current` (the environment's values as read before the update)
+function keepAuthSecrets(values, current = []) {
+  return values.map((v) => {
+    if (!AUTH_SECRET_KEYS.includes(v.key)) return v;
+    const existing = current.find(c => c.key === v.key);
+    return existing && existing.value !== undefined && existing.value !== '' ? { ...v, value: existing.value } : v;
+  });
+}
+
+module.exports = {
+  SIGV4_SCHEME_NAME,
+  SIGV4_SCHEME,
+  translateSecuritySchemes,
+  translateOperationAuth,
+  dropBearerScopes,
+  authKinds,
+  collectionAuth,
+  authVariables,
+  keepAuthSecrets,
+};
@@ -0,0 +1,76 @@
+/*
+Minimal AWS Signature Version 4 signing for fetch() calls (no AWS SDK).
+
+Used by the S3 and DynamoDB state backends. Credentials come from the
+standard environment variables (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY,
+AWS_SESSION_TOKEN), which is what aws-actions/configure-aws-credentials and
+MinIO / DynamoDB Local setups provide. Profiles, SSO and instance metadata are
+not resolved here; export credentials first (e.g. `aws configure export-credentials --format env`).
+*/
+
+const crypto = require('crypto');
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data || '').digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function envCredentials() {
+  const accessKeyId = process.env.AWS_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
+  if (!accessKeyId || !secretAccessKey) {
+    throw new Error('Missing AWS credentials: set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY (and AWS_SESSION_TOKEN for temporary credentials)');
+  }
+  return { accessKeyId, secretAccessKey, sessionToken: process.env.AWS_SESSION_TOKEN };
+}
+
+function encodeRfc3986(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function canonicalQuery(searchParams) {
+  return [...searchParams.entries()]
+    .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+    .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('&');
+}
+
+function amzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+// Returns the headers to send (input headers plus host, x-amz-date, authorization, ...)
+function signRequest({ method = 'GET', url, headers = {}, body = '', service, region, credentials = envCredentials(), date = new Date(), signPayloadHeader = false }) {
+  const u = new URL(url);
+  const timestamp = amzDate(date);
+  const day = timestamp.slice(0, 8);
+  const payloadHash = sha256Hex(body);
+
+  const out = {};
+  for (const [k, v] of Object.entries(headers)) out[k.toLowerCase()] = String(v);
+  out.host = u.host;
+  out['x-amz-date'] = timestamp;
+  if (signPayloadHeader) out['x-amz-content-sha256'] = payloadHash;
+  if (credentials.sessionToken) out['x-amz-security-token'] = credentials.sessionToken;
+
+  const names = Object.keys(out).sort();
+  const canonicalHeaders = names.map(n => `${n}:${out[n].trim().replace(/\s+/g, ' ')}\n`).join('');
+  const signedHeaders = names.join(';');
+  // Path segments are already percent-encoded by the URL parser; S3 expects them encoded exactly once
+  const canonicalRequest = [method, u.pathname || '/', canonicalQuery(u.searchParams), canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', timestamp, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, day), region), service), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  out.authorization = `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  delete out.host; // fetch sets Host itself
+  return out;
+}
+
+module.exports = { signRequest, envCredentials, sha256Hex };
@@ -0,0 +1,92 @@
+/*
+Collection generation options (POST /specs/{specId}/generations/collection).
+
+Resolution order per option (first wins):
+  1. CLI flags: --folder-strategy Tags, --parameters-resolution Example, --include-deprecated false, ...
+     (the option name in kebab-case)
+  2. config/environments.json -> services.<service>.collectionOptions
+  3. config/environments.json -> collectionOptions
+  4. DEFAULT_COLLECTION_OPTIONS below (what spec_sync.js has always sent)
+
+Options only take effect when a collection is generated; syncing an existing
+collection keeps the options it was generated with. changedOptions() reports
+the difference so callers can offer a regeneration.
+*/
+
+const DEFAULT_COLLECTION_OPTIONS = {
+  requestNameSource: 'Fallback',
+  indentCharacter: 'Space',
+  parametersResolution: 'Schema',
+  folderStrategy: 'Paths',
+  includeAuthInfoInExample: true,
+  enableOptionalParameters: true,
+  keepImplicitHeaders: false,
+  includeDeprecated: true,
+  alwaysInheritAuthentication: false,
+  nestedFolderHierarchy: false,
+};
+
+// Allowed values for the string options; the rest are booleans
+const ENUM_VALUES = {
+  requestNameSource: ['Fallback', 'URL'],
+  indentCharacter: ['Space', 'Tab'],
+  parametersResolution: ['Schema', 'Example'],
+  folderStrategy: ['Paths', 'Tags'],
+};
+
+function flagFor(option) {
+  return option.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+function coerceOption(option, value, source) {
+  if (!(option in DEFAULT_COLLECTION_OPTIONS)) {
+    throw new Error(`Unknown collection option "${option}" in ${source}`);
+  }
+  if (ENUM_VALUES[option]) {
+    const match = ENUM_VALUES[option].find(v => v.toLowerCase() === String(value).toLowerCase());
+    if (!match) throw new Error(`Invalid ${option} "${value}" in ${source}; expected one of ${ENUM_VALUES[option].join(', ')}`);
+    return match;
+  }
+  if (typeof value === 'boolean') return value;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw new Error(`Invalid ${option} "${value}" in ${source}; expected true or false`);
+}
+
+function resolveCollectionOptions({ config, service, args = {} } = {}) {
+  const serviceConfig = service ? (config?.services?.[service.replace(/\s+/g, '_')] || config?.services?.[service]) : null;
+  const layers = [
+    [config?.collectionOptions, 'config collectionOptions'],
+    [serviceConfig?.collectionOptions, `config services.${service}.collectionOptions`],
+  ];
+  const options = { ...DEFAULT_COLLECTION_OPTIONS };
+  for (const [layer, source] of layers) {
+    for (const [option, value] of Object.entries(layer || {})) {
+      options[option] = coerceOption(option, value, source);
+    }
+  }
+  for (const option of Object.keys(DEFAULT_COLLECTION_OPTIONS)) {
+    const flag = flagFor(option);
+    if (args[flag] !== undefined) options[option] = coerceOption(option, args[flag], `--${flag}`);
+  }
+  return options;
+}
+
+function changedOptions(previous, next) {
+  // [{ option, from, to }]; collections generated before options were recorded used the defaults
+  const before = { ...DEFAULT_COLLECTION_OPTIONS, ...(previous || {}) };
+  return Object.keys(next)
+    .filter(option => before[option] !== next[option])
+    .map(option => ({ option, from: before[option], to: next[option] }));
+}
+
+function formatOptionChanges(changes) {
+  return changes.map(c => `${c.option}: ${c.from} -> ${c.to}`).join(', ');
+}
+
+module.exports = {
+  DEFAULT_COLLECTION_OPTIONS,
+  resolveCollectionOptions,
+  changedOptions,
+  formatOptionChanges,
+};
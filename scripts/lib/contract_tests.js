@@ -0,0 +1,199 @@
+/*
+Contract tests for the requests of a generated collection (used by spec_sync.js with --contract-tests
+or config "contractTests": true).
+
+Each request matched to a spec operation (method + path) gets a test script block asserting that the
+status code is one the operation documents and, for JSON responses, that the body matches the response
+schema of that status (exact code, then 2XX-style ranges, then "default"). Schemas are inlined from
+components ($ref cycles are cut off with {}) and OpenAPI-only keywords are turned into JSON Schema
+(nullable -> type [..., "null"]) so pm.response.to.have.jsonSchema can check them.
+
+The block sits between marker comments; later runs replace only that block, so tests written by hand
+in the same script stay where they are. Requests whose operation no longer documents responses lose
+the block.
+
+spec_sync.js records contractTestsSha(specSha) in the state entry once the blocks are written, so runs
+that skip an unchanged spec don't fetch the collection again just to find the blocks up to date.
+*/
+
+const crypto = require('crypto');
+
+const BEGIN = '// <contract-tests> generated by spec_sync.js from the OpenAPI spec; edits inside this block are replaced';
+const END = '// </contract-tests>';
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const OPENAPI_ONLY = ['example', 'examples', 'xml', 'externalDocs', 'discriminator', 'nullable', 'deprecated'];
+// Formats the Postman sandbox validator knows; others (int32, double, byte, ...) would make it reject the schema
+const JSON_SCHEMA_FORMATS = ['date', 'time', 'date-time', 'uri', 'uri-reference', 'uri-template', 'url', 'email', 'hostname', 'ipv4', 'ipv6', 'regex', 'uuid', 'json-pointer', 'relative-json-pointer'];
+
+function resolveRef(spec, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) return undefined;
+  return ref.slice(2).split('/').reduce(
+    (node, key) => (node && typeof node === 'object' ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined),
+    spec
+  );
+}
+
+// OpenAPI schema -> self-contained JSON Schema
+function toJsonSchema(schema, spec, seen = []) {
+  if (Array.isArray(schema)) return schema.map(s => toJsonSchema(s, spec, seen));
+  if (!schema || typeof schema !== 'object') return schema;
+  if (schema.$ref) {
+    if (seen.includes(schema.$ref)) return {};
+    const target = resolveRef(spec, schema.$ref);
+    return target ? toJsonSchema(target, spec, [...seen, schema.$ref]) : {};
+  }
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (OPENAPI_ONLY.includes(k) || k.startsWith('x-')) continue;
+    if (k === 'format' && !JSON_SCHEMA_FORMATS.includes(v)) continue;
+    if (k === 'properties' || k === 'patternProperties') {
+      out[k] = Object.fromEntries(Object.entries(v || {}).map(([name, s]) => [name, toJsonSchema(s, spec, seen)]));
+    } else if (v && typeof v === 'object' && k !== 'enum' && k !== 'const' && k !== 'required' && k !== 'default') {
+      out[k] = toJsonSchema(v, spec, seen);
+    } else {
+      out[k] = v;
+    }
+  }
+  // OpenAPI 3.0 boolean exclusive bounds -> numeric ones
+  for (const [exclusive, bound] of [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']]) {
+    if (typeof out[exclusive] !== 'boolean') continue;
+    if (out[exclusive] && out[bound] !== undefined) out[exclusive] = out[bound];
+    else delete out[exclusive];
+    if (typeof out[exclusive] === 'number') delete out[bound];
+  }
+  if (schema.nullable === true && out.type && !Array.isArray(out.type)) out.type = [out.type, 'null'];
+  if (schema.nullable === true && Array.isArray(out.enum) && !out.enum.includes(null)) out.enum = [...out.enum, null];
+  return out;
+}
+
+// { codes: ['200', '4XX'], schemas: { '200': {...}, '4XX': {...}, default: {...} } } for an operation
+function responseContract(operation, spec) {
+  const codes = [];
+  const schemas = {};
+  for (const [status, ref] of Object.entries(operation.responses || {})) {
+    const response = ref?.$ref ? resolveRef(spec, ref.$ref) : ref;
+    if (/^[1-5](\d\d|XX)$/i.test(status)) codes.push(status.toUpperCase());
+    const media = Object.entries(response?.content || {}).find(([type]) => /^application\/(.+\+)?json\b/i.test(type) || type === '*/*');
+    if (media?.[1]?.schema) schemas[status.toUpperCase() === 'DEFAULT' ? 'default' : status.toUpperCase()] = toJsonSchema(media[1].schema, spec);
+  }
+  return { codes, schemas };
+}
+
+function testBlock(contract) {
+  const lines = [BEGIN];
+  if (contract.codes.length && !contract.schemas.default) {
+    lines.push(`pm.test('Status code is documented (${contract.codes.join(', ')})', function () {`);
+    if (contract.codes.some(c => c.endsWith('XX'))) {
+      lines.push('    const status = String(pm.response.code);');
+      lines.push(`    pm.expect(${JSON.stringify(contract.codes)}.some(c => c === status || c === status[0] + 'XX'), 'status ' + status).to.be.true;`);
+    } else {
+      lines.push(`    pm.expect(${JSON.stringify(contract.codes.map(Number))}).to.include(pm.response.code);`);
+    }
+    lines.push('});');
+  }
+  if (Object.keys(contract.schemas).length) {
+    // Own scope, so the names can't clash with hand-written tests in the same script
+    lines.push('(function () {');
+    lines.push(`    const schemas = ${JSON.stringify(contract.schemas)};`);
+    lines.push('    const status = String(pm.response.code);');
+    lines.push("    const schema = schemas[status] || schemas[status[0] + 'XX'] || schemas.default;");
+    lines.push("    if (!schema || !/json/i.test(pm.response.headers.get('Content-Type') || '')) return;");
+    lines.push("    pm.test('Response body matches the ' + status + ' schema', function () {");
+    lines.push('        pm.response.to.have.jsonSchema(schema);');
+    lines.push('    });');
+    lines.push('})();');
+  }
+  lines.push(END);
+  return lines.length > 2 ? lines : [];
+}
+
+// Script lines with the generated block replaced by `block` (or removed when `block` is empty)
+function replaceBlock(exec, block) {
+  const lines = [];
+  let inside = false;
+  for (const line of exec) {
+    if (line === BEGIN) { inside = true; continue; }
+    if (inside && line === END) { inside = false; continue; }
+    if (!inside) lines.push(line);
+  }
+  while (lines.length && lines[lines.length - 1] === '') lines.pop();
+  if (!block.length) return lines;
+  return lines.length ? [...lines, '', ...block] : block;
+}
+
+// "/orders/{}" for "/orders/{orderId}", "/orders/:orderId", "{{baseUrl}}/orders/:id"
+function pathShape(segments) {
+  return `/${segments.filter(Boolean).map(s => (/^(:\w+|\{[^}]+\})$/.test(s) ? '{}' : s)).join('/')}`;
+}
+
+function requestPath(url) {
+  if (!url) return null;
+  if (typeof url === 'string') return url.replace(/^[a-z]+:\/\/[^/]+/i, '').replace(/^\{\{[^}]+\}\}/, '').split(/[?#]/)[0].split('/');
+  if (Array.isArray(url.path)) return url.path.map(s => (typeof s === 'string' ? s : s?.value || ''));
+  return url.raw ? requestPath(url.raw) : null;
+}
+
+function operationIndex(spec) {
+  const index = new Map();
+  for (const [apiPath, pathItem] of Object.entries(spec.paths || {})) {
+    for (const method of HTTP_METHODS) {
+      if (pathItem?.[method]) index.set(`${method.toUpperCase()} ${pathShape(apiPath.split('/'))}`, pathItem[method]);
+    }
+  }
+  return index;
+}
+
+/*
+Add or refresh the generated test block on every request of `collection` (Postman collection v2.1,
+mutated). Returns { updated, unchanged, unmatched } request counts.
+*/
+function injectContractTests(collection, spec) {
+  const operations = operationIndex(spec);
+  const counts = { updated: 0, unchanged: 0, unmatched: 0 };
+
+  const visit = (items) => {
+    for (const item of items || []) {
+      if (Array.isArray(item.item)) {
+        visit(item.item);
+        continue;
+      }
+      if (!item.request) continue;
+      const segments = requestPath(item.request.url);
+      const operation = segments && operations.get(`${String(item.request.method || 'GET').toUpperCase()} ${pathShape(segments)}`);
+      if (!operation) counts.unmatched++;
+      const block = operation ? testBlock(responseContract(operation, spec)) : [];
+
+      item.event = item.event || [];
+      let event = item.event.find(e => e.listen === 'test');
+      const before = event?.script?.exec || [];
+      const exec = replaceBlock(Array.isArray(before) ? before : String(before).split('\n'), block);
+      if (JSON.stringify(exec) === JSON.stringify(before)) {
+        if (operation) counts.unchanged++;
+        continue;
+      }
+      if (!event) {
+        event = { listen: 'test', script: { type: 'text/javascript', exec: [] } };
+        item.event.push(event);
+      }
+      event.script = { ...event.script, type: 'text/javascript', exec };
+      counts.updated++;
+    }
+  };
+  visit(collection.item);
+  return counts;
+}
+
+// State entry `contractTestsSha`: the inputs of the test blocks (spec content, contract tests on)
+function contractTestsSha(specSha) {
+  return crypto.createHash('sha256').update(`${specSha}:contract-tests`).digest('hex');
+}
+
+// Whether this run injects contract tests: --contract-tests, else config (service, then global)
+function contractTestsEnabled({ config, service, args = {} } = {}) {
+  if (args['contract-tests'] !== undefined) return args['contract-tests'] !== 'false' && args['contract-tests'] !== false;
+  const services = config?.services || {};
+  const serviceConfig = service ? (services[service.replace(/\s+/g, '_')] || services[service]) : null;
+  return Boolean(serviceConfig?.contractTests ?? config?.contractTests);
+}
+
+module.exports = { injectContractTests, contractTestsEnabled, contractTestsSha, toJsonSchema };
@@ -0,0 +1,411 @@
+/*
+Request and response examples synthesized from schemas (used by spec_sync.js after overlays and redaction).
+
+API Gateway exports rarely have examples, so generated requests have empty bodies and no saved
+responses. For every JSON request body, JSON response and parameter without an example, one is built
+from its schema, honoring $ref, example/default/const, enum, format (date-time, date, time, email, uuid,
+uri, hostname, ipv4, ipv6, byte, ...), minimum/maximum (incl. exclusive and multipleOf),
+minLength/maxLength, pattern, minItems, allOf/oneOf/anyOf and readOnly/writeOnly. Property names
+without a format steer plain strings (email, name, phone, city, createdAt, ...).
+
+Existing examples are never replaced: media types with `example`/`examples`, parameters with
+`example`/`examples` and schemas carrying an `example` are left alone.
+
+Values come from a PRNG seeded with the configured seed and the location (method, path, status,
+media type), so every sync produces the same examples and adding an operation doesn't change the
+examples of the others.
+
+Config (config/environments.json, global and per service; the service's keys win):
+  "examples": { "seed": "orders", "requests": true, "responses": true, "parameters": true, "maxDepth": 6 }
+  "examples": false   turns synthesis off
+*/
+
+const crypto = require('crypto');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const DEFAULTS = { seed: 'postman', requests: true, responses: true, parameters: true, maxDepth: 6 };
+
+const FIRST_NAMES = ['Ava', 'Noah', 'Mia', 'Liam', 'Zoe', 'Omar', 'Lena', 'Ravi'];
+const LAST_NAMES = ['Garcia', 'Smith', 'Chen', 'Okafor', 'Novak', 'Silva', 'Kim', 'Patel'];
+const CITIES = ['Seattle', 'Austin', 'Berlin', 'Toronto', 'Lisbon', 'Osaka'];
+const WORDS = ['alpha', 'bravo', 'delta', 'harbor', 'maple', 'nova', 'summit', 'willow'];
+
+// ---- seeded random numbers --------------------------------------------------------
+
+function rngFor(seed, location) {
+  let state = crypto.createHash('sha256').update(`${seed}|${location}`).digest().readUInt32LE(0);
+  // mulberry32
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: list => list[Math.floor(next() * list.length)],
+    hex: n => Array.from({ length: n }, () => Math.floor(next() * 16).toString(16)).join(''),
+  };
+}
+
+// ---- regular expressions -> matching strings ----------------------------------------
+
+// Enough of the regex syntax used in OpenAPI patterns: literals, escapes, classes, groups with
+// alternatives and the ?, *, +, {n}, {n,m} quantifiers. Anchors are ignored.
+function fromPattern(pattern, rng) {
+  let i = 0;
+  const src = pattern;
+  const CLASS = { d: '0123456789', w: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_', s: ' ' };
+
+  function parseClass() {
+    i++; // [
+    const negated = src[i] === '^';
+    if (negated) i++;
+    let chars = '';
+    while (i < src.length && src[i] !== ']') {
+      const c = src[i++];
+      if (c === '\\') {
+        const e = src[i++];
+        chars += CLASS[e] || e;
+        continue;
+      }
+      if (src[i] === '-' && src[i + 1] && src[i + 1] !== ']') {
+        const end = src[i + 1];
+        i += 2;
+        for (let code = c.charCodeAt(0); code <= end.charCodeAt(0); code++) chars += String.fromCharCode(code);
+        continue;
+      }
+      chars += c;
+    }
+    i++; // ]
+    if (negated) return () => rng.pick([...'abcdefghijklmnopqrstuvwxyz0123456789'].filter(ch => !chars.includes(ch)));
+    return () => rng.pick([...chars]);
+  }
+
+  function parseAtom() {
+    const c = src[i];
+    if (c === '(') {
+      i++;
+      if (src.startsWith('?:', i)) i += 2;
+      const alt = parseAlternatives();
+      i++; // )
+      return alt;
+    }
+    if (c === '[') return parseClass();
+    if (c === '\\') {
+      const e = src[i + 1];
+      i += 2;
+      if (CLASS[e]) return () => rng.pick([...CLASS[e]]);
+      return () => e;
+    }
+    if (c === '.') {
+      i++;
+      return () => rng.pick([...'abcdefghijklmnopqrstuvwxyz']);
+    }
+    i++;
+    return () => c;
+  }
+
+  function parseQuantifier() {
+    const c = src[i];
+    if (c === '?') { i++; return [0, 1]; }
+    if (c === '*') { i++; return [0, 3]; }
+    if (c === '+') { i++; return [1, 3]; }
+    if (c === '{') {
+      const match = src.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+      if (match) {
+        i += match[0].length;
+        const min = Number(match[1]);
+        const max = match[2] ? (match[3] ? Number(match[3]) : min + 3) : min;
+        return [min, max];
+      }
+    }
+    return [1, 1];
+  }
+
+  function parseSequence() {
+    const parts = [];
+    while (i < src.length && src[i] !== '|' && src[i] !== ')') {
+      if (src[i] === '^' || src[i] === '$') { i++; continue; }
+      const atom = parseAtom();
+      const [min, max] = parseQuantifier();
+      if (src[i] === '?') i++; // lazy
+      parts.push(() => {
+        let out = '';
+        for (let n = rng.int(min, max); n > 0; n--) out += atom();
+        return out;
+      });
+    }
+    return () => parts.map(p => p()).join('');
+  }
+
+  function parseAlternatives() {
+    const alternatives = [parseSequence()];
+    while (src[i] === '|') {
+      i++;
+      alternatives.push(parseSequence());
+    }
+    return () => rng.pick(alternatives)();
+  }
+
+  return parseAlternatives()();
+}
+
+// ---- schemas -> values --------------------------------------------------------------
+
+function resolveRef(spec, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) return undefined;
+  return ref.slice(2).split('/').reduce(
+    (node, key) => (node && typeof node === 'object' ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined),
+    spec
+  );
+}
+
+function dateTime(rng) {
+  const ms = Date.UTC(2024, 0, 1) + rng.int(0, 364) * 86400000 + rng.int(0, 86399) * 1000;
+  return new Date(ms).toISOString().replace(/\.000Z$/, 'Z');
+}
+
+function fromFormat(format, rng, name) {
+  switch (format) {
+    case 'date-time': return dateTime(rng);
+    case 'date': return dateTime(rng).slice(0, 10);
+    case 'time': return dateTime(rng).slice(11, 19);
+    case 'email': return `${rng.pick(FIRST_NAMES).toLowerCase()}.${rng.pick(LAST_NAMES).toLowerCase()}@example.com`;
+    case 'uuid': {
+      const h = rng.hex(32);
+      return `${h.slice(0, 8)}-${h.slice(8, 12)}-4${h.slice(13, 16)}-a${h.slice(17, 20)}-${h.slice(20, 32)}`;
+    }
+    case 'uri':
+    case 'url':
+      return `https://example.com/${name ? words(name).join('-') : rng.pick(WORDS)}/${rng.int(1, 999)}`;
+    case 'hostname': return `${rng.pick(WORDS)}.example.com`;
+    case 'ipv4': return `192.0.2.${rng.int(1, 254)}`;
+    case 'ipv6': return `2001:db8::${rng.hex(4)}`;
+    case 'byte': return Buffer.from(`${rng.pick(WORDS)}-${rng.int(1, 999)}`).toString('base64');
+    case 'binary': return '<binary>';
+    case 'password': return `P@ss-${rng.hex(8)}`;
+    default: return undefined;
+  }
+}
+
+function words(name) {
+  return String(name).replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^A-Za-z0-9]+/).filter(Boolean).map(w => w.toLowerCase());
+}
+
+// Plain strings guessed from the property name
+function fromName(name, rng) {
+  const n = String(name || '').toLowerCase().replace(/[-_]/g, '');
+  if (!n) return undefined;
+  if (n.includes('email')) return fromFormat('email', rng);
+  if (n === 'firstname' || n === 'givenname') return rng.pick(FIRST_NAMES);
+  if (n === 'lastname' || n === 'familyname' || n === 'surname') return rng.pick(LAST_NAMES);
+  if (n === 'name' || n === 'fullname' || n === 'username' || n === 'displayname') return `${rng.pick(FIRST_NAMES)} ${rng.pick(LAST_NAMES)}`;
+  if (n.includes('phone')) return `+1-555-01${String(rng.int(0, 99)).padStart(2, '0')}`;
+  if (n === 'city') return rng.pick(CITIES);
+  if (n === 'country' || n === 'countrycode') return rng.pick(['US', 'DE', 'CA', 'PT', 'JP']);
+  if (n === 'currency' || n === 'currencycode') return rng.pick(['USD', 'EUR', 'CAD', 'JPY']);
+  if (/(url|uri|link|href)$/.test(n)) return fromFormat('uri', rng, name);
+  if (/(at|date|time|timestamp)$/.test(n) && /(created|updated|deleted|modified|start|end|expire|date|time)/.test(n)) return dateTime(rng);
+  if (/(description|comment|note|message)s?$/.test(n)) return `Sample ${words(name).join(' ')} ${rng.pick(WORDS)}`;
+  if (/id$/.test(n)) return `${words(name).slice(0, -1).join('') || 'id'}_${rng.hex(8)}`;
+  return undefined;
+}
+
+function fitLength(value, schema) {
+  let out = value;
+  if (schema.maxLength !== undefined && out.length > schema.maxLength) out = out.slice(0, schema.maxLength);
+  if (schema.minLength !== undefined && out.length < schema.minLength) out = out.padEnd(schema.minLength, 'x');
+  return out;
+}
+
+function fromNumber(schema, rng, integer) {
+  const exclusiveMin = typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : (schema.exclusiveMinimum === true ? schema.minimum : undefined);
+  const exclusiveMax = typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum : (schema.exclusiveMaximum === true ? schema.maximum : undefined);
+  const step = integer ? 1 : 0.01;
+  let min = exclusiveMin !== undefined ? exclusiveMin + step : schema.minimum;
+  let max = exclusiveMax !== undefined ? exclusiveMax - step : schema.maximum;
+  if (min === undefined) min = max !== undefined ? Math.min(1, max) : 1;
+  if (max === undefined) max = min + (integer ? 999 : 999.99);
+  if (max < min) max = min;
+  let value = integer
+    ? rng.int(Math.ceil(min), Math.floor(max))
+    : Math.round((min + rng.next() * (max - min)) * 100) / 100;
+  if (schema.multipleOf) {
+    const m = schema.multipleOf;
+    value = Math.ceil(value / m) * m;
+    if (value > max) value = Math.floor(max / m) * m;
+    value = Number(value.toFixed(10));
+  }
+  return value;
+}
+
+function mergeAllOf(schemas, spec) {
+  const merged = { type: 'object', properties: {}, required: [] };
+  for (const part of schemas) {
+    const s = part?.$ref ? resolveRef(spec, part.$ref) : part;
+    if (!s) continue;
+    if (s.allOf) Object.assign(merged.properties, mergeAllOf(s.allOf, spec).properties);
+    Object.assign(merged.properties, s.properties || {});
+    merged.required.push(...(s.required || []));
+    if (s.type && s.type !== 'object') return s;
+  }
+  return merged;
+}
+
+/*
+A value for `schema`. context: { spec, rng, mode: 'request'|'response', maxDepth, name }.
+Returns undefined when no value can be built (unresolvable or recursive $ref).
+*/
+function exampleFromSchema(schema, context, depth = 0, seen = []) {
+  const { spec, rng, mode = 'response', maxDepth = DEFAULTS.maxDepth, name } = context;
+  if (!schema || typeof schema !== 'object') return undefined;
+  if (schema.$ref) {
+    if (seen.includes(schema.$ref)) return undefined;
+    return exampleFromSchema(resolveRef(spec, schema.$ref), context, depth, [...seen, schema.$ref]);
+  }
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length) return schema.examples[0];
+  if (schema.const !== undefined) return schema.const;
+  if (schema.default !== undefined) return schema.default;
+  if (Array.isArray(schema.enum) && schema.enum.length) {
+    const values = schema.enum.filter(v => v !== null);
+    return values.length ? rng.pick(values) : null;
+  }
+  if (schema.allOf) return exampleFromSchema(mergeAllOf(schema.allOf, spec), context, depth, seen);
+  const choice = schema.oneOf || schema.anyOf;
+  if (Array.isArray(choice) && choice.length) {
+    const option = choice.find(s => s && s.type !== 'null') || choice[0];
+    return exampleFromSchema(option, context, depth, seen);
+  }
+
+  let type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  if (!type) type = schema.properties ? 'object' : schema.items ? 'array' : undefined;
+  switch (type) {
+    case 'object': {
+      if (depth >= maxDepth) return {};
+      const out = {};
+      for (const [prop, propSchema] of Object.entries(schema.properties || {})) {
+        const resolved = propSchema?.$ref ? resolveRef(spec, propSchema.$ref) : propSchema;
+        if (mode === 'request' && resolved?.readOnly) continue;
+        if (mode === 'response' && resolved?.writeOnly) continue;
+        const value = exampleFromSchema(propSchema, { ...context, name: prop }, depth + 1, seen);
+        if (value !== undefined) out[prop] = value;
+      }
+      return out;
+    }
+    case 'array': {
+      if (depth >= maxDepth) return [];
+      const count = Math.min(Math.max(schema.minItems || 1, 1), schema.maxItems ?? 3);
+      const items = [];
+      for (let n = 0; n < count; n++) {
+        const value = exampleFromSchema(schema.items, { ...context, name: name && name.replace(/s$/, '') }, depth + 1, seen);
+        if (value === undefined) break;
+        items.push(value);
+      }
+      return items;
+    }
+    case 'integer':
+      return fromNumber(schema, rng, true);
+    case 'number':
+      return fromNumber(schema, rng, false);
+    case 'boolean':
+      return rng.next() < 0.5;
+    case 'string': {
+      if (schema.pattern) {
+        try {
+          return fromPattern(schema.pattern, rng);
+        } catch {
+          // fall through to the other hints
+        }
+      }
+      const value = fromFormat(schema.format, rng, name) ?? fromName(name, rng) ?? `${rng.pick(WORDS)}-${rng.int(100, 999)}`;
+      return fitLength(value, schema);
+    }
+    default:
+      return undefined;
+  }
+}
+
+// ---- spec walk ----------------------------------------------------------------------
+
+function isJson(mediaType) {
+  return /^application\/(.+\+)?json\b/i.test(mediaType) || mediaType === '*/*';
+}
+
+function hasSchemaExample(spec, schema) {
+  const resolved = schema?.$ref ? resolveRef(spec, schema.$ref) : schema;
+  return resolved?.example !== undefined || (Array.isArray(resolved?.examples) && resolved.examples.length > 0);
+}
+
+function fillContent(spec, content, location, mode, options, counts, key) {
+  for (const [mediaType, media] of Object.entries(content || {})) {
+    if (!media || typeof media !== 'object' || !isJson(mediaType) || !media.schema) continue;
+    if (media.example !== undefined || (media.examples && Object.keys(media.examples).length)) continue;
+    if (hasSchemaExample(spec, media.schema)) continue;
+    const rng = rngFor(options.seed, `${location} ${mediaType}`);
+    const value = exampleFromSchema(media.schema, { spec, rng, mode, maxDepth: options.maxDepth });
+    // An empty object or list tells the reader nothing the schema doesn't
+    if (value === undefined || (value && typeof value === 'object' && !Object.keys(value).length)) continue;
+    media.example = value;
+    counts[key]++;
+  }
+}
+
+function fillParameters(spec, parameters, location, options, counts) {
+  for (const param of parameters || []) {
+    if (!param || typeof param !== 'object' || param.$ref || !param.schema) continue;
+    if (param.example !== undefined || (param.examples && Object.keys(param.examples).length)) continue;
+    if (hasSchemaExample(spec, param.schema)) continue;
+    const rng = rngFor(options.seed, `${location} ${param.in} ${param.name}`);
+    const value = exampleFromSchema(param.schema, { spec, rng, mode: 'request', maxDepth: options.maxDepth, name: param.name });
+    if (value === undefined) continue;
+    param.example = value;
+    counts.parameters++;
+  }
+}
+
+// Options for a service, or null when synthesis is turned off (see the header)
+function exampleOptions({ config, service } = {}) {
+  const services = config?.services || {};
+  const serviceConfig = service ? (services[service.replace(/\s+/g, '_')] || services[service]) : null;
+  const global = config?.examples;
+  const own = serviceConfig?.examples;
+  if (own === false || (global === false && !own)) return null;
+  return { ...DEFAULTS, ...(typeof global === 'object' ? global : {}), ...(typeof own === 'object' ? own : {}) };
+}
+
+// Add examples where none exist; mutates `spec`. Returns counts { requests, responses, parameters }
+function synthesizeExamples(spec, options = DEFAULTS) {
+  const opts = { ...DEFAULTS, ...options };
+  const counts = { requests: 0, responses: 0, parameters: 0 };
+  for (const [apiPath, pathItem] of Object.entries(spec.paths || {})) {
+    if (!pathItem || typeof pathItem !== 'object') continue;
+    if (opts.parameters) fillParameters(spec, pathItem.parameters, apiPath, opts, counts);
+    for (const method of HTTP_METHODS) {
+      const op = pathItem[method];
+      if (!op || typeof op !== 'object') continue;
+      const location = `${method.toUpperCase()} ${apiPath}`;
+      if (opts.parameters) fillParameters(spec, op.parameters, location, opts, counts);
+      if (opts.requests && op.requestBody && !op.requestBody.$ref) fillContent(spec, op.requestBody.content, `${location} request`, 'request', opts, counts, 'requests');
+      if (opts.responses) {
+        for (const [status, response] of Object.entries(op.responses || {})) {
+          if (response && !response.$ref) fillContent(spec, response.content, `${location} ${status}`, 'response', opts, counts, 'responses');
+        }
+      }
+    }
+  }
+  const components = spec.components || {};
+  if (opts.parameters) fillParameters(spec, Object.values(components.parameters || {}), '#/components/parameters', opts, counts);
+  if (opts.requests) {
+    for (const [name, body] of Object.entries(components.requestBodies || {})) fillContent(spec, body?.content, `#/components/requestBodies/${name}`, 'request', opts, counts, 'requests');
+  }
+  if (opts.responses) {
+    for (const [name, response] of Object.entries(components.responses || {})) fillContent(spec, response?.content, `#/components/responses/${name}`, 'response', opts, counts, 'responses');
+  }
+  return counts;
+}
+
+module.exports = { exampleOptions, synthesizeExamples, exampleFromSchema, fromPattern };
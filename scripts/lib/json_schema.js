@@ -0,0 +1,85 @@
+/*
+Small JSON Schema validator (no external deps) for the schemas shipped in this repo.
+
+Supports the keywords those schemas use: type, const, enum, required,
+properties, additionalProperties, propertyNames, items, minLength, pattern,
+minimum, format (date-time only) and local $ref (#/$defs/...). Unknown
+keywords are ignored, so keep new schemas within this list or extend it.
+*/
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref}`);
+  return ref.slice(2).split('/').reduce((node, part) => node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+function formatPath(path) {
+  return path.length ? path.map(p => (typeof p === 'number' ? `[${p}]` : `.${p}`)).join('').replace(/^\./, '') : '(root)';
+}
+
+// Returns [{ path, message }]; empty when `value` is valid
+function validate(value, schema, root = schema, path = [], errors = []) {
+  if (schema.$ref) return validate(value, resolveRef(root, schema.$ref), root, path, errors);
+  const fail = message => errors.push({ path: formatPath(path), message });
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    return errors;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      fail(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`does not match ${schema.pattern}`);
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) fail('is not a date-time');
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    fail(`must be >= ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validate(item, schema.items, root, [...path, i], errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) fail(`missing required property ${name}`);
+    }
+    for (const [name, child] of Object.entries(value)) {
+      if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(name)) {
+        errors.push({ path: formatPath([...path, name]), message: `property name does not match ${schema.propertyNames.pattern}` });
+      }
+      if (schema.properties?.[name]) {
+        validate(child, schema.properties[name], root, [...path, name], errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: formatPath([...path, name]), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validate(child, schema.additionalProperties, root, [...path, name], errors);
+      }
+    }
+  }
+  return errors;
+}
+
+module.exports = { validate };
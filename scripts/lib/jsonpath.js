@@ -0,0 +1,290 @@
+/*
+Minimal JSONPath (RFC 9535 subset) for OpenAPI Overlay targets (used by overlay.js).
+
+Supported: $ root, .name / ['name'] / ["a","b"] children, [n] / [-n] indexes,
+.* / [*] wildcards, ..name / ..* / ..[...] descendants, and filters
+[?@.x == 'v'] / [?(@.x)] with ==, !=, <, <=, >, >=, &&, ||, ! and parentheses
+(@ paths may use .name and ['name']; literals: strings, numbers, true/false/null).
+
+query(doc, path) returns the matched nodes in document order as
+{ value, parent, key }; parent/key are null for the root, so callers can
+replace or delete what they matched.
+*/
+
+function syntaxError(path, message) {
+  return new Error(`Invalid JSONPath ${path}: ${message}`);
+}
+
+// ---- tokenizer / parser -----------------------------------------------------
+
+function parse(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) throw syntaxError(path, 'must start with $');
+  let i = 1;
+  const segments = [];
+  const peek = () => path[i];
+  const skipSpaces = () => { while (path[i] === ' ') i++; };
+
+  function readName() {
+    const match = path.slice(i).match(/^[A-Za-z_$\u0080-\uFFFF][\w$\-\u0080-\uFFFF]*/);
+    if (!match) throw syntaxError(path, `expected a name at ${i}`);
+    i += match[0].length;
+    return match[0];
+  }
+
+  function readString() {
+    const quote = path[i++];
+    let out = '';
+    while (i < path.length && path[i] !== quote) {
+      if (path[i] === '\\') {
+        i++;
+        const c = path[i++];
+        out += c === 'n' ? '\n' : c === 't' ? '\t' : c;
+      } else {
+        out += path[i++];
+      }
+    }
+    if (path[i] !== quote) throw syntaxError(path, 'unterminated string');
+    i++;
+    return out;
+  }
+
+  // Filter expression after "?" up to the closing "]" (depth-aware), parsed into a predicate
+  function readFilter() {
+    const start = i;
+    let depth = 0;
+    while (i < path.length) {
+      const c = path[i];
+      if (c === '\'' || c === '"') { readString(); continue; }
+      if (c === '[' || c === '(') depth++;
+      if (c === ')') depth--;
+      if (c === ']') {
+        if (depth === 0) break;
+        depth--;
+      }
+      i++;
+    }
+    return parseFilter(path.slice(start, i), path);
+  }
+
+  function readBracket() {
+    i++; // [
+    skipSpaces();
+    const selectors = [];
+    for (;;) {
+      skipSpaces();
+      const c = peek();
+      if (c === undefined) throw syntaxError(path, 'unterminated [');
+      if (c === '*') { i++; selectors.push({ type: 'wildcard' }); }
+      else if (c === '\'' || c === '"') selectors.push({ type: 'name', name: readString() });
+      else if (c === '?') { i++; selectors.push({ type: 'filter', predicate: readFilter() }); }
+      else {
+        const match = path.slice(i).match(/^-?\d+/);
+        if (!match) throw syntaxError(path, `unexpected "${c}" at ${i}`);
+        i += match[0].length;
+        selectors.push({ type: 'index', index: Number(match[0]) });
+      }
+      skipSpaces();
+      if (peek() === ',') { i++; continue; }
+      if (peek() === ']') { i++; break; }
+      throw syntaxError(path, `expected , or ] at ${i}`);
+    }
+    return selectors;
+  }
+
+  while (i < path.length) {
+    let descendant = false;
+    if (path.startsWith('..', i)) {
+      descendant = true;
+      i += 2;
+    } else if (peek() === '.') {
+      i++;
+    } else if (peek() !== '[') {
+      throw syntaxError(path, `unexpected "${peek()}" at ${i}`);
+    }
+    let selectors;
+    if (peek() === '[') selectors = readBracket();
+    else if (peek() === '*') { i++; selectors = [{ type: 'wildcard' }]; }
+    else selectors = [{ type: 'name', name: readName() }];
+    segments.push({ descendant, selectors });
+  }
+  return segments;
+}
+
+// Filter grammar: or := and ('||' and)* ; and := unary ('&&' unary)* ;
+// unary := '!' unary | '(' or ')' | operand (op operand)?
+function parseFilter(text, fullPath) {
+  let i = 0;
+  const fail = msg => { throw syntaxError(fullPath, `${msg} in filter "${text}"`); };
+  const skip = () => { while (/\s/.test(text[i] || '')) i++; };
+
+  function relPath() {
+    i++; // @
+    const keys = [];
+    for (;;) {
+      if (text[i] === '.' && /[A-Za-z_$]/.test(text[i + 1] || '')) {
+        i++;
+        const match = text.slice(i).match(/^[A-Za-z_$][\w$-]*/);
+        keys.push(match[0]);
+        i += match[0].length;
+      } else if (text[i] === '[') {
+        i++;
+        skip();
+        const q = text[i];
+        if (q === '\'' || q === '"') {
+          const end = text.indexOf(q, i + 1);
+          if (end < 0) fail('unterminated string');
+          keys.push(text.slice(i + 1, end));
+          i = end + 1;
+        } else {
+          const match = text.slice(i).match(/^-?\d+/);
+          if (!match) fail('expected a name or index');
+          keys.push(Number(match[0]));
+          i += match[0].length;
+        }
+        skip();
+        if (text[i] !== ']') fail('expected ]');
+        i++;
+      } else {
+        break;
+      }
+    }
+    return (node) => {
+      let cur = node;
+      for (const k of keys) {
+        if (cur === null || typeof cur !== 'object') return undefined;
+        cur = typeof k === 'number' && Array.isArray(cur) ? cur[k < 0 ? cur.length + k : k] : cur[k];
+      }
+      return cur;
+    };
+  }
+
+  function operand() {
+    skip();
+    const c = text[i];
+    if (c === '@') return relPath();
+    if (c === '\'' || c === '"') {
+      const end = text.indexOf(c, i + 1);
+      if (end < 0) fail('unterminated string');
+      const value = text.slice(i + 1, end);
+      i = end + 1;
+      return () => value;
+    }
+    const match = text.slice(i).match(/^(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/);
+    if (!match) fail(`unexpected "${c}"`);
+    i += match[0].length;
+    const value = JSON.parse(match[0]);
+    return () => value;
+  }
+
+  function comparison() {
+    const left = operand();
+    skip();
+    const op = (text.slice(i).match(/^(==|!=|<=|>=|<|>)/) || [])[0];
+    if (!op) return node => left(node) !== undefined;
+    i += op.length;
+    const right = operand();
+    return (node) => {
+      const a = left(node);
+      const b = right(node);
+      switch (op) {
+        case '==': return JSON.stringify(a) === JSON.stringify(b);
+        case '!=': return JSON.stringify(a) !== JSON.stringify(b);
+        default:
+          if (!((typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string'))) return false;
+          return op === '<' ? a < b : op === '<=' ? a <= b : op === '>' ? a > b : a >= b;
+      }
+    };
+  }
+
+  function unary() {
+    skip();
+    if (text[i] === '!') {
+      i++;
+      const inner = unary();
+      return node => !inner(node);
+    }
+    if (text[i] === '(') {
+      i++;
+      const inner = or();
+      skip();
+      if (text[i] !== ')') fail('expected )');
+      i++;
+      return inner;
+    }
+    return comparison();
+  }
+
+  function and() {
+    let left = unary();
+    for (skip(); text.startsWith('&&', i); skip()) {
+      i += 2;
+      const l = left;
+      const r = unary();
+      left = node => l(node) && r(node);
+    }
+    return left;
+  }
+
+  function or() {
+    let left = and();
+    for (skip(); text.startsWith('||', i); skip()) {
+      i += 2;
+      const l = left;
+      const r = and();
+      left = node => l(node) || r(node);
+    }
+    return left;
+  }
+
+  const predicate = or();
+  skip();
+  if (i < text.length) fail(`unexpected "${text[i]}"`);
+  return predicate;
+}
+
+// ---- evaluation ---------------------------------------------------------------
+
+function children(node) {
+  const { value } = node;
+  if (Array.isArray(value)) return value.map((v, k) => ({ value: v, parent: value, key: k }));
+  if (value && typeof value === 'object') return Object.keys(value).map(k => ({ value: value[k], parent: value, key: k }));
+  return [];
+}
+
+function descendants(node) {
+  const out = [node];
+  for (const child of children(node)) out.push(...descendants(child));
+  return out;
+}
+
+function select(node, selector) {
+  const { value } = node;
+  switch (selector.type) {
+    case 'name':
+      return value && typeof value === 'object' && !Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, selector.name)
+        ? [{ value: value[selector.name], parent: value, key: selector.name }]
+        : [];
+    case 'index': {
+      if (!Array.isArray(value)) return [];
+      const k = selector.index < 0 ? value.length + selector.index : selector.index;
+      return k >= 0 && k < value.length ? [{ value: value[k], parent: value, key: k }] : [];
+    }
+    case 'wildcard':
+      return children(node);
+    case 'filter':
+      return children(node).filter(child => selector.predicate(child.value));
+    default:
+      return [];
+  }
+}
+
+function query(doc, path) {
+  let nodes = [{ value: doc, parent: null, key: null }];
+  for (const segment of parse(path)) {
+    const inputs = segment.descendant ? nodes.flatMap(descendants) : nodes;
+    nodes = inputs.flatMap(node => segment.selectors.flatMap(selector => select(node, selector)));
+  }
+  return nodes;
+}
+
+module.exports = { query, parse };
@@ -0,0 +1,128 @@
+/*
+Postman mock servers for generated collections (used by spec_sync.js with --mock or config "mock").
+
+A mock serves the saved response examples of a collection, so frontend teams can call an API before a
+stage is deployed. There is one mock per collection, named by the "mock" naming template
+(`[{domain}] {service} #mock` by default); stages that share a collection share its mock. On every sync
+the mock tracked in the state entry (mockId) is reused and renamed if needed; when the collection was
+replaced (--regenerate-collection, repaired drift) a new mock is created for it and the old one deleted.
+
+Config (config/environments.json, per service first, then global):
+  "mock": true                      mock every synced collection
+  "mock": { "private": true }       mock that requires an x-api-key header
+  --mock / --mock false             turn it on or off for one run
+*/
+
+const { pmFetch } = require('./postman_client');
+const { findInWorkspace, rememberInWorkspace, forgetInWorkspace } = require('./workspace_index');
+
+function configError(message) {
+  const err = new Error(`Invalid mock config: ${message}`);
+  err.exitCode = 2;
+  return err;
+}
+
+// { private } when this run maintains a mock, otherwise null
+function mockOptions({ config, service, args = {} } = {}) {
+  const services = config?.services || {};
+  const serviceConfig = service ? (services[service.replace(/\s+/g, '_')] || services[service]) : null;
+  const value = serviceConfig?.mock ?? config?.mock;
+  if (value !== undefined && value !== null && typeof value !== 'boolean' && (typeof value !== 'object' || Array.isArray(value))) {
+    throw configError('"mock" takes true, false or { "private": true|false }');
+  }
+  const enabled = args.mock !== undefined ? args.mock !== 'false' && args.mock !== false : Boolean(value);
+  if (!enabled) return null;
+  return { private: Boolean(value && typeof value === 'object' && value.private) };
+}
+
+async function getMock(mockId, apiKey) {
+  try {
+    const { data } = await pmFetch(`/mocks/${encodeURIComponent(mockId)}`, { headers: { 'x-api-key': apiKey } });
+    return data.mock || null;
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+// Mocks report the collection as a uid ("<owner>-<id>") or a bare id
+function mocksCollection(mock, collectionUid) {
+  const collection = mock?.collection;
+  return Boolean(collection) && (collection === collectionUid || collectionUid.endsWith(`-${collection}`));
+}
+
+async function createMock(workspaceId, { name, collectionUid, private: isPrivate }, apiKey) {
+  const { data } = await pmFetch(`/mocks?workspace=${encodeURIComponent(workspaceId)}`, {
+    method: 'POST',
+    headers: { 'x-api-key': apiKey, 'content-type': 'application/json' },
+    body: JSON.stringify({ mock: { name, collection: collectionUid, private: isPrivate } }),
+  });
+  if (!data.mock?.id) throw new Error('Failed to resolve mock id from create response');
+  rememberInWorkspace('mocks', workspaceId, { id: data.mock.id, name });
+  return data.mock;
+}
+
+async function updateMock(mockId, changes, apiKey) {
+  const { data } = await pmFetch(`/mocks/${encodeURIComponent(mockId)}`, {
+    method: 'PUT',
+    headers: { 'x-api-key': apiKey, 'content-type': 'application/json' },
+    body: JSON.stringify({ mock: changes }),
+  });
+  return data.mock;
+}
+
+async function deleteMock(workspaceId, mockId, apiKey) {
+  await pmFetch(`/mocks/${encodeURIComponent(mockId)}`, { method: 'DELETE', headers: { 'x-api-key': apiKey } });
+  forgetInWorkspace('mocks', workspaceId, mockId);
+}
+
+// The mock to keep for `collectionUid`: the tracked one, else one of that name already mocking the collection
+async function resolveMock(workspaceId, { mockId, name, collectionUid }, apiKey) {
+  const tracked = mockId ? await getMock(mockId, apiKey) : null;
+  if (tracked && mocksCollection(tracked, collectionUid)) return { mock: tracked, stale: null };
+  const found = await findInWorkspace('mocks', workspaceId, name, apiKey).catch(() => null);
+  const candidate = found?.id && found.id !== mockId ? await getMock(found.id, apiKey) : null;
+  return { mock: mocksCollection(candidate, collectionUid) ? candidate : null, stale: tracked };
+}
+
+// Dry-run step for upsertMock
+async function planMock(workspaceId, { mockId, name, collectionUid, private: isPrivate }, apiKey) {
+  if (!collectionUid) return `create mock server ${name}`;
+  const { mock, stale } = await resolveMock(workspaceId, { mockId, name, collectionUid }, apiKey);
+  if (!mock) return `create mock server ${name} for ${collectionUid}${stale ? ` and delete ${stale.id}` : ''}`;
+  if (mock.name !== name || Boolean(mock.private) !== isPrivate) return `update mock server ${name} (${mock.id})`;
+  return `keep mock server ${name} (${mock.id})`;
+}
+
+/*
+Create or update the mock of `collectionUid`; `mockId` is the one tracked so far. Returns
+{ mock, action: 'created' | 'updated' | 'unchanged', deleted } where `deleted` is the id of a replaced mock.
+*/
+async function upsertMock(workspaceId, { mockId, name, collectionUid, private: isPrivate }, apiKey) {
+  const { mock: current, stale } = await resolveMock(workspaceId, { mockId, name, collectionUid }, apiKey);
+  let mock = current;
+  let action = 'unchanged';
+  if (!mock) {
+    mock = await createMock(workspaceId, { name, collectionUid, private: isPrivate }, apiKey);
+    action = 'created';
+  } else if (mock.name !== name || Boolean(mock.private) !== isPrivate) {
+    mock = { ...mock, ...await updateMock(mock.id, { name, private: isPrivate }, apiKey) };
+    forgetInWorkspace('mocks', workspaceId, mock.id);
+    rememberInWorkspace('mocks', workspaceId, { id: mock.id, name });
+    action = 'updated';
+  }
+
+  let deleted = null;
+  // The tracked mock serves a collection that was replaced; nothing else should point at it
+  if (stale && stale.id !== mock.id) {
+    try {
+      await deleteMock(workspaceId, stale.id, apiKey);
+      deleted = stale.id;
+    } catch (err) {
+      console.warn(`Failed to delete previous mock server ${stale.id}: ${err.message}`);
+    }
+  }
+  return { mock, action, deleted };
+}
+
+module.exports = { mockOptions, planMock, upsertMock };
@@ -0,0 +1,87 @@
+/*
+Naming templates shared by spec_sync.js and environments_upsert.js.
+
+Templates use {domain}, {service}, {stage}, {region} and {env} placeholders.
+A placeholder that resolves to an empty value drops one adjacent "-" so that
+"#env-{region}-{stage}" renders as "#env-dev" when no region is given.
+
+Resolution order (first wins):
+  1. CLI flags: --spec-name-template, --collection-name-template,
+     --env-name-template, --config-env-name-template, --mock-name-template
+  2. config/environments.json -> services.<service>.naming
+  3. config/environments.json -> naming
+  4. DEFAULT_TEMPLATES below
+*/
+
+const DEFAULT_TEMPLATES = {
+  // Spec Hub spec and the collection generated from it
+  spec: '[{domain}] {service} #main',
+  collection: '[{domain}] {service} #main',
+  // Single environment written by environments_upsert.js
+  environment: '[{domain}] {service} #env-{region}-{stage}',
+  // Environments generated from config/environments.json ({env} = environment entry name)
+  configEnvironment: '[{domain}] {service} #{env}',
+  // Mock server of the collection (scripts/lib/mock_server.js)
+  mock: '[{domain}] {service} #mock',
+};
+
+const FLAG_FOR_KIND = {
+  spec: 'spec-name-template',
+  collection: 'collection-name-template',
+  environment: 'env-name-template',
+  configEnvironment: 'config-env-name-template',
+  mock: 'mock-name-template',
+};
+
+function resolveTemplates({ config, service, args = {} } = {}) {
+  const global = config?.naming || {};
+  const serviceConfig = service ? (config?.services?.[service.replace(/\s+/g, '_')] || config?.services?.[service]) : null;
+  const perService = serviceConfig?.naming || {};
+  const templates = {};
+  for (const kind of Object.keys(DEFAULT_TEMPLATES)) {
+    const flag = args[FLAG_FOR_KIND[kind]];
+    templates[kind] = (typeof flag === 'string' && flag) || perService[kind] || global[kind] || DEFAULT_TEMPLATES[kind];
+  }
+  return templates;
+}
+
+function renderName(template, vars = {}) {
+  return template
+    .replace(/(-?)\{(\w+)\}(-?)/g, (match, before, name, after) => {
+      if (!(name in vars)) return match;
+      const value = vars[name] == null ? '' : String(vars[name]);
+      if (value) return `${before}${value}${after}`;
+      return before && after ? '-' : '';
+    })
+    .trim();
+}
+
+// Placeholders whose values have a known shape, so a hyphen inside them (us-east-1) isn't taken for a separator
+const PLACEHOLDER_PATTERNS = {
+  region: '[a-z]{2}(?:-[a-z]+)+-\\d+',
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// RegExp matching any name renderName can produce from `template`; placeholders become named groups
+// (used to recognize assets that follow the naming convention, e.g. when pruning)
+function namePattern(template) {
+  const seen = new Set();
+  let source = '';
+  let last = 0;
+  for (const match of template.trim().matchAll(/(-?)\{(\w+)\}(-?)/g)) {
+    const [text, before, name, after] = match;
+    source += escapeRegExp(template.trim().slice(last, match.index));
+    const group = seen.has(name) ? `\\k<${name}>` : `(?<${name}>${PLACEHOLDER_PATTERNS[name] || '.+?'})`;
+    seen.add(name);
+    // Same rule as renderName: an empty value drops one adjacent "-"
+    source += `(?:${escapeRegExp(before)}${group}${escapeRegExp(after)}|${before && after ? '-' : ''})`;
+    last = match.index + text.length;
+  }
+  source += escapeRegExp(template.trim().slice(last));
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = { DEFAULT_TEMPLATES, resolveTemplates, renderName, namePattern };
@@ -0,0 +1,296 @@
+/*
+OpenAPI version detection and Swagger 2.0 -> OpenAPI 3.0 upconversion.
+
+- detectSpecVersion: { family: 'swagger' | 'openapi', version }
+- specHubType: Spec Hub `type` for a document ('OPENAPI:3.0' or 'OPENAPI:3.1')
+- normalizeSpecVersion: returns an OAS 3.x document, upconverting Swagger 2.0 input
+
+The converter covers what API Gateway REST exports and hand-written Swagger
+files use: host/basePath/schemes -> servers, body/formData params ->
+requestBody, consumes/produces -> content, definitions/parameters/responses/
+securityDefinitions -> components. Vendor extensions (including every
+x-amazon-apigateway-* key) are carried over untouched so the Postman
+transform sees the same layout as a native OAS 3.0 export.
+*/
+
+const PARAM_SCHEMA_KEYS = [
+  'type', 'format', 'items', 'enum', 'default', 'minimum', 'maximum', 'exclusiveMinimum',
+  'exclusiveMaximum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems', 'multipleOf',
+];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+function detectSpecVersion(spec) {
+  if (spec && typeof spec.swagger === 'string') return { family: 'swagger', version: spec.swagger };
+  if (spec && typeof spec.openapi === 'string') return { family: 'openapi', version: spec.openapi };
+  return { family: 'unknown', version: null };
+}
+
+function specHubType(spec) {
+  const { family, version } = detectSpecVersion(spec);
+  if (family === 'openapi' && /^3\.1(\.|$)/.test(version)) return 'OPENAPI:3.1';
+  return 'OPENAPI:3.0';
+}
+
+function copyExtensions(from, to) {
+  for (const [k, v] of Object.entries(from || {})) {
+    if (k.startsWith('x-')) to[k] = v;
+  }
+  return to;
+}
+
+function rewriteRef(ref) {
+  return ref
+    .replace(/^#\/definitions\//, '#/components/schemas/')
+    .replace(/^#\/responses\//, '#/components/responses/')
+    .replace(/^#\/parameters\//, '#/components/parameters/');
+}
+
+function convertSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(convertSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (k === '$ref' && typeof v === 'string') out.$ref = rewriteRef(v);
+    else if (k === 'x-nullable') out.nullable = v;
+    else if (k === 'discriminator' && typeof v === 'string') out.discriminator = { propertyName: v };
+    else if (k === 'type' && v === 'file') { out.type = 'string'; out.format = 'binary'; }
+    else out[k] = convertSchema(v);
+  }
+  return out;
+}
+
+function styleFor(param) {
+  // collectionFormat -> style/explode
+  switch (param.collectionFormat) {
+    case 'multi': return { style: 'form', explode: true };
+    case 'ssv': return { style: 'spaceDelimited', explode: false };
+    case 'pipes': return { style: 'pipeDelimited', explode: false };
+    case 'csv': return param.in === 'query' || param.in === 'formData' ? { style: 'form', explode: false } : { style: 'simple' };
+    default: return {};
+  }
+}
+
+function convertParameter(param) {
+  if (param.$ref) {
+    return { $ref: rewriteRef(param.$ref) };
+  }
+  const out = { name: param.name, in: param.in };
+  if (param.description) out.description = param.description;
+  if (param.required || param.in === 'path') out.required = true;
+  if (param.allowEmptyValue) out.allowEmptyValue = true;
+  const schema = {};
+  for (const k of PARAM_SCHEMA_KEYS) {
+    if (param[k] !== undefined) schema[k] = convertSchema(param[k]);
+  }
+  out.schema = schema;
+  Object.assign(out, styleFor(param));
+  if (param['x-example'] !== undefined) out.example = param['x-example'];
+  return copyExtensions(param, out);
+}
+
+function formDataBody(formParams, consumes) {
+  const hasFile = formParams.some(p => p.type === 'file');
+  const mediaType = hasFile || consumes.includes('multipart/form-data')
+    ? 'multipart/form-data'
+    : 'application/x-www-form-urlencoded';
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+  for (const p of formParams) {
+    const prop = {};
+    for (const k of PARAM_SCHEMA_KEYS) {
+      if (p[k] !== undefined) prop[k] = convertSchema(p[k]);
+    }
+    if (p.type === 'file') { prop.type = 'string'; prop.format = 'binary'; }
+    if (p.description) prop.description = p.description;
+    schema.properties[p.name] = prop;
+    if (p.required) required.push(p.name);
+  }
+  if (required.length) schema.required = required;
+  return { required: required.length > 0, content: { [mediaType]: { schema } } };
+}
+
+function bodyToRequestBody(bodyParam, consumes) {
+  const mediaTypes = consumes.length ? consumes : ['application/json'];
+  const content = {};
+  for (const mt of mediaTypes) {
+    content[mt] = { schema: convertSchema(bodyParam.schema || {}) };
+    if (bodyParam['x-examples']?.[mt] !== undefined) content[mt].example = bodyParam['x-examples'][mt];
+  }
+  const out = { content };
+  if (bodyParam.description) out.description = bodyParam.description;
+  if (bodyParam.required) out.required = true;
+  return copyExtensions(bodyParam, out);
+}
+
+function convertResponse(response, produces) {
+  if (response.$ref) return { $ref: rewriteRef(response.$ref) };
+  const out = { description: response.description || '' };
+  if (response.schema) {
+    out.content = {};
+    for (const mt of (produces.length ? produces : ['application/json'])) {
+      out.content[mt] = { schema: convertSchema(response.schema) };
+      if (response.examples?.[mt] !== undefined) out.content[mt].example = response.examples[mt];
+    }
+  }
+  if (response.headers) {
+    out.headers = {};
+    for (const [name, header] of Object.entries(response.headers)) {
+      const schema = {};
+      for (const k of PARAM_SCHEMA_KEYS) {
+        if (header[k] !== undefined) schema[k] = convertSchema(header[k]);
+      }
+      out.headers[name] = { schema, ...(header.description ? { description: header.description } : {}) };
+    }
+  }
+  return copyExtensions(response, out);
+}
+
+function convertSecurityScheme(def) {
+  const out = {};
+  if (def.type === 'basic') {
+    Object.assign(out, { type: 'http', scheme: 'basic' });
+  } else if (def.type === 'apiKey') {
+    Object.assign(out, { type: 'apiKey', name: def.name, in: def.in });
+  } else if (def.type === 'oauth2') {
+    const flowName = { implicit: 'implicit', password: 'password', application: 'clientCredentials', accessCode: 'authorizationCode' }[def.flow] || def.flow;
+    const flow = { scopes: def.scopes || {} };
+    if (def.authorizationUrl) flow.authorizationUrl = def.authorizationUrl;
+    if (def.tokenUrl) flow.tokenUrl = def.tokenUrl;
+    Object.assign(out, { type: 'oauth2', flows: { [flowName]: flow } });
+  } else {
+    Object.assign(out, def);
+  }
+  if (def.description) out.description = def.description;
+  return copyExtensions(def, out);
+}
+
+function convertOperation(operation, pathParams, rootConsumes, rootProduces, bodyParamRefs) {
+  const consumes = operation.consumes || rootConsumes;
+  const produces = operation.produces || rootProduces;
+  const out = {};
+  for (const [k, v] of Object.entries(operation)) {
+    if (['parameters', 'responses', 'consumes', 'produces', 'schemes'].includes(k)) continue;
+    out[k] = k.startsWith('x-') ? v : convertSchema(v);
+  }
+
+  const params = [];
+  const formParams = [];
+  for (const param of operation.parameters || []) {
+    if (param.$ref && bodyParamRefs.has(param.$ref)) {
+      out.requestBody = { $ref: `#/components/requestBodies/${param.$ref.split('/').pop()}` };
+    } else if (param.in === 'body') {
+      out.requestBody = bodyToRequestBody(param, consumes);
+    } else if (param.in === 'formData') {
+      formParams.push(param);
+    } else {
+      params.push(convertParameter(param));
+    }
+  }
+  // Path-level body and formData params apply to every operation; the operation's own ones win
+  let pathBody = null;
+  for (const param of pathParams) {
+    if (param.$ref && bodyParamRefs.has(param.$ref)) {
+      pathBody = { $ref: `#/components/requestBodies/${param.$ref.split('/').pop()}` };
+    } else if (param.in === 'body') {
+      pathBody = bodyToRequestBody(param, consumes);
+    } else if (param.in === 'formData' && !out.requestBody && !formParams.some(p => p.name === param.name)) {
+      formParams.push(param);
+    }
+  }
+  if (formParams.length) out.requestBody = formDataBody(formParams, consumes);
+  else if (!out.requestBody && pathBody) out.requestBody = pathBody;
+  if (params.length) out.parameters = params;
+
+  out.responses = {};
+  for (const [status, response] of Object.entries(operation.responses || {})) {
+    out.responses[status] = convertResponse(response, produces);
+  }
+  return out;
+}
+
+function convertSwagger2ToOpenApi3(spec) {
+  const out = { openapi: '3.0.1', info: spec.info || { title: 'API', version: '1.0.0' } };
+  copyExtensions(spec, out);
+
+  const basePath = spec.basePath && spec.basePath !== '/' ? spec.basePath : '';
+  if (spec.host) {
+    const schemes = spec.schemes?.length ? spec.schemes : ['https'];
+    out.servers = schemes.map(scheme => ({ url: `${scheme}://${spec.host}${basePath}` }));
+  } else if (basePath) {
+    out.servers = [{ url: basePath }];
+  }
+  if (spec.tags) out.tags = spec.tags;
+  if (spec.externalDocs) out.externalDocs = spec.externalDocs;
+  if (spec.security) out.security = spec.security;
+
+  const rootConsumes = spec.consumes || [];
+  const rootProduces = spec.produces || [];
+  const bodyParamRefs = new Set();
+  const components = {};
+
+  if (spec.definitions) components.schemas = convertSchema(spec.definitions);
+  if (spec.parameters) {
+    for (const [name, param] of Object.entries(spec.parameters)) {
+      if (param.in === 'body') {
+        components.requestBodies = components.requestBodies || {};
+        components.requestBodies[name] = bodyToRequestBody(param, rootConsumes);
+        bodyParamRefs.add(`#/parameters/${name}`);
+      } else {
+        components.parameters = components.parameters || {};
+        components.parameters[name] = convertParameter(param);
+      }
+    }
+  }
+  if (spec.responses) {
+    components.responses = {};
+    for (const [name, response] of Object.entries(spec.responses)) {
+      components.responses[name] = convertResponse(response, rootProduces);
+    }
+  }
+  if (spec.securityDefinitions) {
+    components.securitySchemes = {};
+    for (const [name, def] of Object.entries(spec.securityDefinitions)) {
+      components.securitySchemes[name] = convertSecurityScheme(def);
+    }
+  }
+  if (Object.keys(components).length) out.components = components;
+
+  out.paths = {};
+  for (const [p, pathItem] of Object.entries(spec.paths || {})) {
+    const item = {};
+    const pathParams = pathItem.parameters || [];
+    for (const [k, v] of Object.entries(pathItem)) {
+      if (HTTP_METHODS.includes(k)) {
+        item[k] = convertOperation(v, pathParams, rootConsumes, rootProduces, bodyParamRefs);
+      } else if (k === 'x-amazon-apigateway-any-method') {
+        item[k] = convertOperation(v, pathParams, rootConsumes, rootProduces, bodyParamRefs);
+      } else if (k === 'parameters') {
+        // Body and formData params (inline or $ref) became each operation's requestBody
+        const nonForm = v.filter(param => param.in !== 'formData' && param.in !== 'body' && !(param.$ref && bodyParamRefs.has(param.$ref)));
+        if (nonForm.length) item.parameters = nonForm.map(convertParameter);
+      } else if (k === '$ref') {
+        item.$ref = v;
+      } else if (k.startsWith('x-')) {
+        item[k] = v;
+      }
+    }
+    out.paths[p] = item;
+  }
+  return out;
+}
+
+function normalizeSpecVersion(spec) {
+  const { family, version } = detectSpecVersion(spec);
+  if (family === 'swagger') {
+    if (!/^2(\.|$)/.test(version)) throw new Error(`Unsupported Swagger version: ${version}`);
+    return { spec: convertSwagger2ToOpenApi3(spec), converted: true, sourceVersion: `Swagger ${version}` };
+  }
+  if (family === 'openapi') {
+    if (!/^3\.[01](\.|$)/.test(version)) throw new Error(`Unsupported OpenAPI version: ${version}`);
+    return { spec, converted: false, sourceVersion: `OpenAPI ${version}` };
+  }
+  throw new Error('Input is not an OpenAPI or Swagger document (missing "openapi"/"swagger" field)');
+}
+
+module.exports = { detectSpecVersion, specHubType, convertSwagger2ToOpenApi3, normalizeSpecVersion };
@@ -0,0 +1,142 @@
+/*
+operationIds, summaries and tags derived from method and path (the operation-names transformer in
+scripts/lib/transformers.js).
+
+HTTP API exports rarely carry any of them, so generated collections end up with requests named after
+raw URLs. The names only depend on the method and path, so they stay the same from one export to the next:
+
+  GET    /orders                  getOrders               "Get orders"
+  POST   /orders                  createOrder             "Create order"
+  GET    /orders/{id}             getOrderById            "Get order by id"
+  PATCH  /orders/{id}/items/{n}   updateOrderItemByIdAndN "Update order item by id and n"
+  GET    /                        getRoot                 "Get root"
+
+Verbs: get, create (POST), replace (PUT), update (PATCH), delete, head, options, trace. A collection
+segment followed by a path parameter (and the last segment of a POST) is singularized. Tags come from
+the first path segment that is not a version (v1, v2, ...) or, with tagSource "integration", from the
+name of the Lambda function the method integrates with.
+*/
+
+const VERBS = { get: 'get', post: 'create', put: 'replace', patch: 'update', delete: 'delete', head: 'head', options: 'options', trace: 'trace' };
+const HTTP_METHODS = Object.keys(VERBS);
+
+function words(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(w => w.toLowerCase());
+}
+
+function singular(word) {
+  if (/ies$/.test(word) && word.length > 4) return word.replace(/ies$/, 'y');
+  if (/(ss|sh|ch|x|z)es$/.test(word)) return word.replace(/es$/, '');
+  if (/[^su]s$/.test(word) && !/is$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+function parseSegments(apiPath) {
+  return apiPath.split('/').filter(Boolean).map((segment) => {
+    const param = segment.match(/^\{(\w+)\+?\}$/);
+    return param ? { param: param[1] } : { text: segment };
+  });
+}
+
+// { words, params } for a method + path: the words of the resource name and the path parameter names
+function describe(method, apiPath) {
+  const segments = parseSegments(apiPath);
+  const resource = [];
+  const params = [];
+  segments.forEach((segment, n) => {
+    if (segment.param) {
+      params.push(words(segment.param));
+      return;
+    }
+    let segmentWords = words(segment.text);
+    const last = n === segments.length - 1;
+    if (segmentWords.length && (segments[n + 1]?.param || (last && method === 'post'))) {
+      segmentWords = [...segmentWords.slice(0, -1), singular(segmentWords[segmentWords.length - 1])];
+    }
+    resource.push(...segmentWords);
+  });
+  if (!resource.length && !params.length) resource.push('root');
+  return { verb: VERBS[method] || method, resource, params };
+}
+
+function camel(parts) {
+  return parts.map((w, n) => (n === 0 ? w : w.charAt(0).toUpperCase() + w.slice(1))).join('');
+}
+
+function operationIdFor(method, apiPath) {
+  const { verb, resource, params } = describe(method, apiPath);
+  const by = params.length ? ['by', ...params.flatMap((p, n) => (n ? ['and', ...p] : p))] : [];
+  return camel([verb, ...resource, ...by]);
+}
+
+function summaryFor(method, apiPath) {
+  const { verb, resource, params } = describe(method, apiPath);
+  const by = params.length ? ['by', params.map(p => p.join(' ')).join(' and ')] : [];
+  const text = [verb, ...resource, ...by].join(' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function pathTag(apiPath) {
+  const first = parseSegments(apiPath).find(s => s.text && !/^v\d+(\.\d+)*$/i.test(s.text));
+  return first ? first.text : null;
+}
+
+// Lambda function name from an integration uri (REST: .../functions/<arn>/invocations, HTTP API: the ARN)
+function lambdaName(integration) {
+  const match = String(integration?.uri || '').match(/:function:([^:/]+)/);
+  return match ? match[1] : null;
+}
+
+/*
+Fill in missing operationIds, summaries and tags; mutates `spec`. `source` is the export before the other
+transforms (for integration names). Returns counts { operationIds, summaries, tags }.
+*/
+function nameOperations(spec, { source = null, operationIds = true, summaries = true, tags = true, tagSource = 'path' } = {}) {
+  const counts = { operationIds: 0, summaries: 0, tags: 0 };
+  const operations = [];
+  for (const apiPath of Object.keys(spec.paths || {}).sort()) {
+    const pathItem = spec.paths[apiPath];
+    if (!pathItem || typeof pathItem !== 'object') continue;
+    for (const method of HTTP_METHODS) {
+      if (pathItem[method] && typeof pathItem[method] === 'object') operations.push({ apiPath, method, operation: pathItem[method] });
+    }
+  }
+
+  // Sorted order and ids already taken first, so a suffix only goes to the same operation every time
+  const taken = new Set(operations.map(o => o.operation.operationId).filter(Boolean));
+  const newTags = [];
+  for (const { apiPath, method, operation } of operations) {
+    if (operationIds && !operation.operationId) {
+      const base = operationIdFor(method, apiPath);
+      let id = base;
+      for (let n = 2; taken.has(id); n++) id = `${base}${n}`;
+      taken.add(id);
+      operation.operationId = id;
+      counts.operationIds++;
+    }
+    if (summaries && !operation.summary) {
+      operation.summary = summaryFor(method, apiPath);
+      counts.summaries++;
+    }
+    if (tags && !(Array.isArray(operation.tags) && operation.tags.length)) {
+      const sourceItem = source?.paths?.[apiPath];
+      const integration = (sourceItem?.[method] || sourceItem?.['x-amazon-apigateway-any-method'])?.['x-amazon-apigateway-integration'];
+      const tag = (tagSource === 'integration' && lambdaName(integration)) || pathTag(apiPath);
+      if (tag) {
+        operation.tags = [tag];
+        if (!newTags.includes(tag)) newTags.push(tag);
+        counts.tags++;
+      }
+    }
+  }
+  const declared = new Set((spec.tags || []).map(t => t.name));
+  const missing = newTags.filter(t => !declared.has(t));
+  if (missing.length) spec.tags = [...(spec.tags || []), ...missing.map(name => ({ name }))];
+  return counts;
+}
+
+module.exports = { operationIdFor, summaryFor, nameOperations };
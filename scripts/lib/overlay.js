@@ -0,0 +1,123 @@
+/*
+OpenAPI Overlay 1.0 documents (https://spec.openapis.org/overlay/v1.0.0) applied by spec_sync.js.
+
+An overlay keeps hand-written additions (descriptions, examples, operationIds,
+response schemas) in git and re-applies them to every fresh API Gateway export:
+
+  overlay: 1.0.0
+  info: { title: Orders docs, version: 1.0.0 }
+  actions:
+    - target: $.paths['/orders'].get
+      update: { operationId: listOrders, description: Lists the caller's orders. }
+    - target: $.paths.*.*.responses['500']
+      remove: true
+
+Actions run in order. `update` is merged into every object the target selects
+(objects merge recursively; arrays and scalars are replaced) or appended to a
+selected array; `remove: true` deletes the selected nodes and ignores `update`.
+Targets use JSONPath (scripts/lib/jsonpath.js). A target matching nothing is
+reported, not an error, since exports change over time.
+
+Overlays come from config/environments.json -> services.<service>.overlays (file
+paths, applied first) and --overlay <file[,file...]>.
+*/
+
+const fs = require('fs');
+const { parseSpecText } = require('./spec_loader');
+const { query } = require('./jsonpath');
+
+function overlayError(message) {
+  const err = new Error(message);
+  err.exitCode = 2;
+  return err;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function clone(v) {
+  return JSON.parse(JSON.stringify(v));
+}
+
+function mergeInto(target, update) {
+  for (const [k, v] of Object.entries(update)) {
+    if (isPlainObject(v) && isPlainObject(target[k])) mergeInto(target[k], v);
+    else target[k] = clone(v);
+  }
+}
+
+function loadOverlay(file) {
+  if (!fs.existsSync(file)) throw overlayError(`Overlay ${file} not found`);
+  let doc;
+  try {
+    doc = parseSpecText(fs.readFileSync(file, 'utf8'), file);
+  } catch (e) {
+    throw overlayError(`Could not parse overlay ${file}: ${e.message}`);
+  }
+  if (!isPlainObject(doc) || !/^1\./.test(String(doc.overlay || ''))) {
+    throw overlayError(`${file} is not an OpenAPI Overlay 1.x document (missing "overlay: 1.0.0")`);
+  }
+  if (!Array.isArray(doc.actions)) throw overlayError(`Overlay ${file} has no "actions" list`);
+  doc.actions.forEach((action, n) => {
+    if (!isPlainObject(action) || typeof action.target !== 'string') throw overlayError(`Overlay ${file}: action ${n + 1} needs a "target"`);
+    if (action.update === undefined && action.remove !== true) throw overlayError(`Overlay ${file}: action ${n + 1} (${action.target}) has neither "update" nor "remove: true"`);
+  });
+  return doc;
+}
+
+// Overlay files for a service: config first, then the --overlay flag (comma-separated)
+function overlayFiles({ config, service, flag } = {}) {
+  const services = config?.services || {};
+  const fromConfig = service ? ((services[service.replace(/\s+/g, '_')] || services[service])?.overlays || []) : [];
+  const fromFlag = typeof flag === 'string' ? flag.split(',').map(f => f.trim()).filter(Boolean) : [];
+  return [...fromConfig, ...fromFlag];
+}
+
+// Apply one overlay to `spec` in place; returns [{ target, action: 'update'|'remove', matched }]
+function applyOverlay(spec, overlay, source = 'overlay') {
+  const results = [];
+  for (const action of overlay.actions) {
+    let nodes;
+    try {
+      nodes = query(spec, action.target);
+    } catch (e) {
+      throw overlayError(`${source}: ${e.message}`);
+    }
+    if (action.remove === true) {
+      // Delete array elements from the highest index down so earlier indexes stay valid
+      const ordered = [...nodes].sort((a, b) => (typeof b.key === 'number' && typeof a.key === 'number' ? b.key - a.key : 0));
+      for (const node of ordered) {
+        if (node.parent === null) throw overlayError(`${source}: cannot remove the document root (${action.target})`);
+        if (Array.isArray(node.parent)) node.parent.splice(node.key, 1);
+        else delete node.parent[node.key];
+      }
+      results.push({ target: action.target, action: 'remove', matched: nodes.length });
+      continue;
+    }
+    for (const node of nodes) {
+      if (Array.isArray(node.value)) {
+        node.value.push(clone(action.update));
+      } else if (isPlainObject(node.value) && isPlainObject(action.update)) {
+        mergeInto(node.value, action.update);
+      } else {
+        throw overlayError(`${source}: update target ${action.target} must select objects or arrays`);
+      }
+    }
+    results.push({ target: action.target, action: 'update', matched: nodes.length });
+  }
+  return results;
+}
+
+// Load and apply overlay files in order; logs one line per overlay and per action that matched nothing
+function applyOverlays(spec, files, log = console.log) {
+  for (const file of files) {
+    const results = applyOverlay(spec, loadOverlay(file), file);
+    const applied = results.filter(r => r.matched > 0).length;
+    log(`Applied overlay ${file}: ${applied}/${results.length} action(s) matched`);
+    for (const r of results.filter(x => x.matched === 0)) log(`  ${r.action} ${r.target} matched nothing`);
+  }
+  return spec;
+}
+
+module.exports = { overlayFiles, loadOverlay, applyOverlay, applyOverlays };
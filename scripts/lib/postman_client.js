@@ -0,0 +1,168 @@
+/*
+Shared Postman API client used by spec_sync.js and environments_upsert.js.
+
+pmFetch(pathname, opts) behaves like the per-script helper it replaces
+(resolves to { resp, data }, throws on non-2xx) but retries transient failures:
+  - 429 Too Many Requests: every method (the request was not processed)
+  - 5xx and network errors: GET/PUT/PATCH/DELETE/HEAD only
+  - 503 on POST (service unavailable before processing)
+POST is not retried on other 5xx or network errors so creates are never duplicated.
+
+Waits use the Retry-After header when present, then RateLimit-Reset /
+X-RateLimit-Reset, otherwise jittered exponential backoff (full jitter on
+baseDelayMs * 2^attempt, capped at maxDelayMs). A successful response that
+reports zero remaining requests pauses until the reset before returning.
+
+pmFetchAllPages(pathname, itemsKey, opts) follows list endpoints to the end:
+cursor pagination (meta.nextCursor, sent back as ?cursor=) or offset
+pagination (meta.total / full pages, ?offset=&limit=). Endpoints that ignore
+the paging parameters return the same items again, which ends the loop.
+
+Retry budget (env or setRetryOptions, e.g. from a --max-retries flag):
+  POSTMAN_MAX_RETRIES (default 5), POSTMAN_RETRY_BASE_MS (default 1000),
+  POSTMAN_RETRY_MAX_MS (default 60000)
+*/
+
+const API_BASE = 'https://api.getpostman.com';
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'];
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const retryOptions = {
+  maxRetries: envInt('POSTMAN_MAX_RETRIES', 5),
+  baseDelayMs: envInt('POSTMAN_RETRY_BASE_MS', 1000),
+  maxDelayMs: envInt('POSTMAN_RETRY_MAX_MS', 60000),
+};
+
+function setRetryOptions(options = {}) {
+  for (const k of Object.keys(retryOptions)) {
+    if (options[k] === undefined || options[k] === true) continue;
+    const n = Number(options[k]);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`Invalid retry option ${k}: ${options[k]}`);
+    retryOptions[k] = n;
+  }
+  return { ...retryOptions };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parseResetHeader(value) {
+  // Delta seconds, or an epoch timestamp in seconds on some gateways
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) return null;
+  return n > 1e9 ? Math.max(0, n * 1000 - Date.now()) : n * 1000;
+}
+
+function serverDelayMs(headers) {
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  const reset = headers.get('ratelimit-reset') || headers.get('x-ratelimit-reset');
+  return reset ? parseResetHeader(reset) : null;
+}
+
+function backoffDelayMs(attempt) {
+  const ceiling = Math.min(retryOptions.maxDelayMs, retryOptions.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+function isRetryableStatus(status, method) {
+  if (status === 429) return true;
+  if (method === 'POST') return status === 503;
+  return status >= 500;
+}
+
+async function pmFetch(pathname, opts = {}) {
+  const method = (opts.method || 'GET').toUpperCase();
+  for (let attempt = 0; ; attempt++) {
+    let resp;
+    try {
+      resp = await fetch(`${API_BASE}${pathname}`, opts);
+    } catch (err) {
+      if (attempt >= retryOptions.maxRetries || !IDEMPOTENT_METHODS.includes(method)) throw err;
+      const delay = backoffDelayMs(attempt);
+      console.warn(`Postman API ${method} ${pathname} network error (${err.message}); retry ${attempt + 1}/${retryOptions.maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (!resp.ok && resp.status !== 202) {
+      if (attempt < retryOptions.maxRetries && isRetryableStatus(resp.status, method)) {
+        const fromServer = serverDelayMs(resp.headers);
+        const delay = Math.min(retryOptions.maxDelayMs, fromServer ?? backoffDelayMs(attempt));
+        await resp.text().catch(() => '');
+        console.warn(`Postman API ${method} ${pathname} returned ${resp.status}; retry ${attempt + 1}/${retryOptions.maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+        await sleep(delay);
+        continue;
+      }
+      const body = await resp.text().catch(() => '');
+      const err = new Error(`Postman API ${method} ${pathname} failed: ${resp.status} ${resp.statusText}\n${body}`);
+      err.status = resp.status;
+      throw err;
+    }
+
+    // Out of requests for this window: wait for the reset instead of burning the next call on a 429
+    const remaining = resp.headers.get('ratelimit-remaining') ?? resp.headers.get('x-ratelimit-remaining');
+    if (remaining !== null && Number(remaining) === 0) {
+      const delay = Math.min(retryOptions.maxDelayMs, serverDelayMs(resp.headers) ?? 0);
+      if (delay > 0) {
+        console.warn(`Postman API rate limit exhausted; pausing ${(delay / 1000).toFixed(1)}s until reset`);
+        await sleep(delay);
+      }
+    }
+
+    const ct = resp.headers.get('content-type') || '';
+    if (ct.includes('application/json')) return { resp, data: await resp.json() };
+    return { resp, data: await resp.text() };
+  }
+}
+
+function itemKey(item) {
+  return item?.uid || item?.id || JSON.stringify(item);
+}
+
+async function pmFetchAllPages(pathname, itemsKey, { limit = 100, ...opts } = {}) {
+  const items = [];
+  const seen = new Set();
+  let cursor = null;
+  let offset = 0;
+  for (;;) {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (cursor) params.set('cursor', cursor);
+    else if (offset) params.set('offset', String(offset));
+    const sep = pathname.includes('?') ? '&' : '?';
+    const { data } = await pmFetch(`${pathname}${sep}${params}`, opts);
+    const page = Array.isArray(data?.[itemsKey]) ? data[itemsKey] : (Array.isArray(data) ? data : []);
+    const fresh = page.filter(item => !seen.has(itemKey(item)));
+    for (const item of fresh) {
+      seen.add(itemKey(item));
+      items.push(item);
+    }
+    if (!fresh.length) break;
+
+    const meta = data?.meta || {};
+    const nextCursor = meta.nextCursor || meta.next_cursor;
+    if (nextCursor) {
+      if (nextCursor === cursor) break;
+      cursor = nextCursor;
+      continue;
+    }
+    if (cursor) break;
+    offset += page.length;
+    const total = Number(meta.total);
+    if (Number.isFinite(total) ? offset >= total : page.length < limit) break;
+  }
+  return items;
+}
+
+module.exports = { API_BASE, pmFetch, pmFetchAllPages, setRetryOptions };
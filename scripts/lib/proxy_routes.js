@@ -0,0 +1,136 @@
+/*
+Declared expansions of API Gateway proxy routes ({proxy+} with x-amazon-apigateway-any-method).
+
+An export only says "anything under /orders/{proxy+} goes to this Lambda". Without
+a declaration spec_sync.js falls back to one GET and one POST placeholder; with one,
+the route is replaced by the sub-paths and methods the Lambda really serves.
+
+Declarations come from (first wins):
+  1. --proxy-config <file>
+  2. config/environments.json -> services.<service>.proxy (an object, or a path to a sidecar file)
+The object / sidecar file (JSON or YAML):
+  {
+    "routes": {
+      "/{proxy+}": {                             // proxy path as exported
+        "/orders": { "get": { "summary": "List orders" }, "post": { "requestBody": { ... } } },
+        "/orders/{orderId}": { "get": {}, "delete": {} }
+      }
+    },
+    "components": { "schemas": { "Order": { ... } } }  // optional; merged into the spec
+  }
+Sub-paths are relative to the proxy's prefix ("" or "/" is the prefix itself) and hold
+OpenAPI path items. Declared operations get the proxy's security and responses unless
+they set their own, and undeclared {params} in a sub-path become required string
+path parameters.
+*/
+
+const fs = require('fs');
+const { parseSpecText } = require('./spec_loader');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const PATH_ITEM_KEYS = new Set([...HTTP_METHODS, 'summary', 'description', 'parameters']);
+
+function configError(message) {
+  const err = new Error(`Invalid proxy route config: ${message}`);
+  err.exitCode = 2;
+  return err;
+}
+
+function readSidecar(file) {
+  if (!fs.existsSync(file)) throw configError(`${file} not found`);
+  return parseSpecText(fs.readFileSync(file, 'utf8'), file);
+}
+
+function validateDeclaration(decl, source) {
+  if (!decl || typeof decl !== 'object' || Array.isArray(decl)) throw configError(`${source} must be an object`);
+  const routes = decl.routes || {};
+  if (typeof routes !== 'object' || Array.isArray(routes)) throw configError(`${source}: "routes" must be an object`);
+  for (const [proxyPath, subPaths] of Object.entries(routes)) {
+    if (!/\{\w+\+\}/.test(proxyPath)) throw configError(`${source}: ${proxyPath} is not a proxy path (no {name+} segment)`);
+    if (!subPaths || typeof subPaths !== 'object' || Array.isArray(subPaths)) throw configError(`${source}: ${proxyPath} must map sub-paths to path items`);
+    for (const [subPath, pathItem] of Object.entries(subPaths)) {
+      if (subPath && !subPath.startsWith('/')) throw configError(`${source}: sub-path "${subPath}" under ${proxyPath} must start with "/"`);
+      if (!pathItem || typeof pathItem !== 'object') throw configError(`${source}: ${proxyPath} ${subPath} must be a path item`);
+      const unknown = Object.keys(pathItem).filter(k => !PATH_ITEM_KEYS.has(k) && !k.startsWith('x-'));
+      if (unknown.length) throw configError(`${source}: ${proxyPath} ${subPath} has unknown key(s) ${unknown.join(', ')}`);
+      if (!HTTP_METHODS.some(m => pathItem[m] !== undefined)) throw configError(`${source}: ${proxyPath} ${subPath} declares no methods`);
+    }
+  }
+  return { routes, components: decl.components || null, source };
+}
+
+// Declared proxy routes for a service, or null when there are none
+function loadProxyRoutes({ config, service, file } = {}) {
+  if (file) return validateDeclaration(readSidecar(file), file);
+  const services = config?.services || {};
+  const decl = service ? (services[service.replace(/\s+/g, '_')] || services[service])?.proxy : null;
+  if (!decl) return null;
+  if (typeof decl === 'string') return validateDeclaration(readSidecar(decl), decl);
+  return validateDeclaration(decl, `services.${service}.proxy`);
+}
+
+function joinPath(prefix, subPath) {
+  const joined = `${prefix.replace(/\/+$/, '')}${subPath === '/' ? '' : subPath}`;
+  return joined || '/';
+}
+
+function pathParamNames(path) {
+  return [...path.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+}
+
+/*
+Expand one proxy path item into the declared paths. `anyMethod` is the transformed
+x-amazon-apigateway-any-method operation (security already translated).
+Returns { paths: { [path]: pathItem }, operations: <count> }.
+*/
+function expandProxyRoute(proxyPath, pathItem, anyMethod, subPaths) {
+  const proxyParam = proxyPath.match(/\{(\w+)\+\}/)[1];
+  const prefix = proxyPath.slice(0, proxyPath.indexOf(`{${proxyParam}+}`));
+  const inherited = (pathItem.parameters || []).filter(p => !(p.in === 'path' && p.name === proxyParam));
+  const out = {};
+  let operations = 0;
+  for (const [subPath, declared] of Object.entries(subPaths)) {
+    const path = joinPath(prefix, subPath);
+    const item = {};
+    for (const [k, v] of Object.entries(declared)) {
+      if (!HTTP_METHODS.includes(k.toLowerCase())) item[k] = JSON.parse(JSON.stringify(v));
+    }
+    const declaredParams = [...inherited, ...(declared.parameters || [])];
+    const missing = pathParamNames(path)
+      .filter(name => !declaredParams.some(p => p.in === 'path' && p.name === name))
+      .map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+    if (declaredParams.length || missing.length) item.parameters = [...declaredParams, ...missing];
+
+    for (const method of HTTP_METHODS) {
+      const op = declared[method];
+      if (op === undefined || op === false) continue;
+      const operation = op && typeof op === 'object' ? JSON.parse(JSON.stringify(op)) : {};
+      item[method] = {
+        summary: `${method.toUpperCase()} ${path}`,
+        ...(anyMethod.security && !operation.security ? { security: anyMethod.security } : {}),
+        ...operation,
+        responses: operation.responses || anyMethod.responses || { '200': { description: 'Success response' } },
+      };
+      operations++;
+    }
+    out[path] = item;
+  }
+  return { paths: out, operations };
+}
+
+// Merge declared components (schemas, responses, ...) into the spec; declared ones win. Returns the names replaced
+function mergeComponents(spec, components) {
+  const overridden = [];
+  if (!components) return overridden;
+  spec.components = spec.components || {};
+  for (const [section, entries] of Object.entries(components)) {
+    spec.components[section] = spec.components[section] || {};
+    for (const [name, value] of Object.entries(entries || {})) {
+      if (spec.components[section][name] !== undefined) overridden.push(`${section}.${name}`);
+      spec.components[section][name] = value;
+    }
+  }
+  return overridden;
+}
+
+module.exports = { loadProxyRoutes, expandProxyRoute, mergeComponents };
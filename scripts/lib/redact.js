@@ -0,0 +1,204 @@
+/*
+Publishing filters: operations withheld from Spec Hub and the generated collection (used by spec_sync.js).
+
+Rules come from config/environments.json and add up:
+  "redact": [ ... ]                                 every service, every workspace
+  "workspaces": { "<workspaceId>": { "redact": [ ... ] } }   only when syncing to that workspace
+  "services": { "<service>": { "redact": [ ... ] } }         only that service
+
+A rule withholds the operations matching all of its criteria (each takes a value or a list of alternatives):
+  { "path": "/admin/**" }                    path glob: * within one segment, ** across segments
+  { "method": "options" }                    HTTP method
+  { "tag": "internal" }                      operation tag
+  { "extension": "x-internal" }              extension set (truthy) on the operation or its path item
+  { "extension": { "x-visibility": "private" } }   extension with that value
+  { "path": "/orders/**", "method": "delete", "reason": "ops only" }   "reason" goes to the log
+
+Paths left without operations are removed, tags no remaining operation uses are dropped from the root
+tag list when a rule names them or withheld operations used them (a tag still in use keeps its entry),
+and components only the withheld operations referenced (schemas, responses, security schemes, ...) are
+pruned. Components that were already unreferenced are left alone.
+*/
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const CRITERIA = ['path', 'method', 'tag', 'extension'];
+
+function configError(message) {
+  const err = new Error(`Invalid redact config: ${message}`);
+  err.exitCode = 2;
+  return err;
+}
+
+function list(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split(/(\*\*|\*)/)
+    .map(part => (part === '**' ? '.*' : part === '*' ? '[^/]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+function compileRule(rule, source) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw configError(`${source}: rules must be objects`);
+  const unknown = Object.keys(rule).filter(k => !CRITERIA.includes(k) && k !== 'reason');
+  if (unknown.length) throw configError(`${source}: unknown key(s) ${unknown.join(', ')}`);
+  if (!CRITERIA.some(k => rule[k] !== undefined)) throw configError(`${source}: a rule needs at least one of ${CRITERIA.join(', ')}`);
+  const extensions = rule.extension === undefined ? null : list(rule.extension).map((ext) => {
+    if (typeof ext === 'string') return { name: ext };
+    if (ext && typeof ext === 'object' && Object.keys(ext).length === 1) {
+      const [[name, value]] = Object.entries(ext);
+      return { name, value };
+    }
+    throw configError(`${source}: "extension" takes a name or a { name: value } object`);
+  });
+  const paths = rule.path === undefined ? null : list(rule.path).map(String).map(globToRegExp);
+  const methods = rule.method === undefined ? null : list(rule.method).map(m => String(m).toLowerCase());
+  const tags = rule.tag === undefined ? null : list(rule.tag).map(String);
+  const describe = rule.reason || CRITERIA.filter(k => rule[k] !== undefined).map(k => `${k} ${JSON.stringify(rule[k])}`).join(', ');
+
+  return {
+    describe,
+    tags,
+    matches(apiPath, method, operation, pathItem) {
+      if (paths && !paths.some(re => re.test(apiPath))) return false;
+      if (methods && !methods.includes(method)) return false;
+      if (tags && !(operation.tags || []).some(tag => tags.includes(tag))) return false;
+      if (extensions && !extensions.some(({ name, value }) => [operation, pathItem].some(obj => (
+        value === undefined ? Boolean(obj[name]) : JSON.stringify(obj[name]) === JSON.stringify(value)
+      )))) return false;
+      return true;
+    },
+  };
+}
+
+// Compiled rules for a service synced to a workspace (see the header)
+function redactionRules({ config, service, workspaceId } = {}) {
+  const services = config?.services || {};
+  const serviceConfig = service ? (services[service.replace(/\s+/g, '_')] || services[service]) : null;
+  const sources = [
+    ['redact', config?.redact],
+    [`workspaces.${workspaceId}.redact`, workspaceId ? config?.workspaces?.[workspaceId]?.redact : undefined],
+    [`services.${service}.redact`, serviceConfig?.redact],
+  ];
+  const rules = [];
+  for (const [source, value] of sources) {
+    if (value === undefined) continue;
+    if (!Array.isArray(value)) throw configError(`${source} must be a list of rules`);
+    value.forEach((rule, n) => rules.push(compileRule(rule, `${source}[${n}]`)));
+  }
+  return rules;
+}
+
+// ---- component references ---------------------------------------------------------
+
+function collectRefs(node, out) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectRefs(child, out));
+  } else if (node && typeof node === 'object') {
+    for (const [k, v] of Object.entries(node)) {
+      if (k === '$ref' && typeof v === 'string') {
+        const match = v.match(/^#\/components\/([^/]+)\/([^/]+)$/);
+        if (match) out.add(`${match[1]}.${decodeURIComponent(match[2]).replace(/~1/g, '/').replace(/~0/g, '~')}`);
+      } else {
+        collectRefs(v, out);
+      }
+    }
+  }
+  return out;
+}
+
+function collectSecurityNames(node, out) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectSecurityNames(child, out));
+  } else if (node && typeof node === 'object') {
+    for (const [k, v] of Object.entries(node)) {
+      if (k === 'security' && Array.isArray(v)) v.forEach(req => Object.keys(req || {}).forEach(name => out.add(`securitySchemes.${name}`)));
+      else collectSecurityNames(v, out);
+    }
+  }
+  return out;
+}
+
+// "section.name" of every component nothing outside the components reaches, directly or through other components
+function unreferencedComponents(spec) {
+  const components = spec.components || {};
+  const outside = { ...spec };
+  delete outside.components;
+  const reached = collectSecurityNames(outside, collectRefs(outside, new Set()));
+  const queue = [...reached];
+  while (queue.length) {
+    const [section, ...rest] = queue.pop().split('.');
+    const component = components[section]?.[rest.join('.')];
+    for (const ref of collectSecurityNames(component, collectRefs(component, new Set()))) {
+      if (!reached.has(ref)) {
+        reached.add(ref);
+        queue.push(ref);
+      }
+    }
+  }
+  const all = Object.entries(components)
+    .filter(([, entries]) => entries && typeof entries === 'object')
+    .flatMap(([section, entries]) => Object.keys(entries).map(name => `${section}.${name}`));
+  return all.filter(id => !reached.has(id));
+}
+
+/*
+Withhold the operations the rules match; mutates `spec`. Returns
+{ operations: [{ method, path, reason }], paths: [...], tags: [...], components: [...] } describing what was removed.
+*/
+function redactSpec(spec, rules) {
+  const report = { operations: [], paths: [], tags: [], components: [] };
+  if (!rules.length || !spec.paths) return report;
+  const unreferencedBefore = new Set(unreferencedComponents(spec));
+  const tagsBefore = new Set(Object.values(spec.paths).flatMap(item => HTTP_METHODS.flatMap(m => item?.[m]?.tags || [])));
+
+  for (const [apiPath, pathItem] of Object.entries(spec.paths)) {
+    if (!pathItem || typeof pathItem !== 'object') continue;
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+      const rule = rules.find(r => r.matches(apiPath, method, operation, pathItem));
+      if (!rule) continue;
+      delete pathItem[method];
+      report.operations.push({ method: method.toUpperCase(), path: apiPath, reason: rule.describe });
+    }
+    if (!HTTP_METHODS.some(m => pathItem[m]) && !pathItem.$ref) {
+      delete spec.paths[apiPath];
+      report.paths.push(apiPath);
+    }
+  }
+  if (!report.operations.length) return report;
+
+  if (Array.isArray(spec.tags)) {
+    const ruleTags = rules.flatMap(r => r.tags || []);
+    const tagsAfter = new Set(Object.values(spec.paths).flatMap(item => HTTP_METHODS.flatMap(m => item?.[m]?.tags || [])));
+    const dropped = spec.tags.filter(tag => !tagsAfter.has(tag.name) && (ruleTags.includes(tag.name) || tagsBefore.has(tag.name)));
+    spec.tags = spec.tags.filter(tag => !dropped.includes(tag));
+    report.tags = dropped.map(tag => tag.name);
+  }
+
+  // Reachability is transitive, so components only reached through withheld ones go in the same pass
+  for (const id of unreferencedComponents(spec).filter(c => !unreferencedBefore.has(c))) {
+    const [section, ...rest] = id.split('.');
+    delete spec.components[section][rest.join('.')];
+    if (!Object.keys(spec.components[section]).length) delete spec.components[section];
+    report.components.push(id);
+  }
+  return report;
+}
+
+// Log lines for a redaction report
+function formatRedaction(report) {
+  if (!report.operations.length) return [];
+  const lines = [`Withheld ${report.operations.length} operation(s) from Postman:`];
+  for (const op of report.operations) lines.push(`  ${op.method} ${op.path} (${op.reason})`);
+  if (report.paths.length) lines.push(`  removed path(s): ${report.paths.join(', ')}`);
+  if (report.tags.length) lines.push(`  removed tag(s): ${report.tags.join(', ')}`);
+  if (report.components.length) lines.push(`  pruned component(s): ${report.components.join(', ')}`);
+  return lines;
+}
+
+module.exports = { redactionRules, redactSpec, formatRedaction };
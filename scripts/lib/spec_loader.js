@@ -0,0 +1,240 @@
+/*
+Spec loading helpers: JSON/YAML parsing, multi-file ($ref-split) specs and bundling.
+
+A spec is represented as { rootRel, files } where `files` is a Map of
+POSIX paths (relative to the root file's directory) to parsed documents.
+Single-file specs simply have one entry.
+
+- loadLocalSpec(rootPath): parse the root file and every local file reachable
+  through relative $refs (remote http(s) refs are left alone)
+- bundleSpecFiles(files, rootRel): one self-contained document; external
+  components/schemas are hoisted into root `components` and referenced
+  locally, everything else (e.g. path items) is inlined
+- serializeSpecFile(doc, relPath): JSON or YAML depending on the extension
+- referencedFiles(files, rootRel): the paths of `files` reachable from the root
+  (e.g. the Spec Hub files a sync uploaded, without ones it no longer references)
+*/
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('./yaml');
+
+const COMPONENT_SECTIONS = ['schemas', 'parameters', 'responses', 'requestBodies', 'headers', 'examples', 'securitySchemes', 'links', 'callbacks'];
+const SCHEMA_KEYS = ['schema', 'items', 'additionalProperties', 'not'];
+const SCHEMA_LIST_KEYS = ['properties', 'allOf', 'oneOf', 'anyOf', 'patternProperties'];
+
+function isYamlPath(p) {
+  return /\.ya?ml$/i.test(p);
+}
+
+function parseSpecText(text, filename = '') {
+  const trimmed = String(text).trimStart();
+  if (!isYamlPath(filename) && (trimmed.startsWith('{') || trimmed.startsWith('['))) {
+    return JSON.parse(text);
+  }
+  try {
+    return yaml.parse(text);
+  } catch (e) {
+    throw new Error(`Failed to parse ${filename || 'spec'}: ${e.message}`);
+  }
+}
+
+function serializeSpecFile(doc, relPath) {
+  return isYamlPath(relPath) ? yaml.stringify(doc) : JSON.stringify(doc, null, 2);
+}
+
+function isRemoteRef(ref) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(ref);
+}
+
+function splitRef(ref) {
+  const hash = ref.indexOf('#');
+  return hash === -1 ? { file: ref, pointer: '' } : { file: ref.slice(0, hash), pointer: ref.slice(hash + 1) };
+}
+
+function resolveRefFile(currentFile, refFile) {
+  // Refs are relative to the file that contains them
+  return path.posix.normalize(path.posix.join(path.posix.dirname(currentFile), refFile));
+}
+
+function decodePointer(pointer) {
+  if (!pointer || pointer === '/') return [];
+  return pointer.replace(/^\//, '').split('/').map(p => decodeURIComponent(p).replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function getPointer(doc, pointer) {
+  return decodePointer(pointer).reduce((acc, key) => (acc == null ? undefined : acc[key]), doc);
+}
+
+function setPointer(doc, pointer, value) {
+  const parts = decodePointer(pointer);
+  if (!parts.length) return value;
+  const parent = parts.slice(0, -1).reduce((acc, key) => (acc == null ? undefined : acc[key]), doc);
+  if (parent == null) throw new Error(`Cannot set JSON pointer ${pointer}: parent does not exist`);
+  parent[parts[parts.length - 1]] = value;
+  return doc;
+}
+
+function forEachRef(node, fn) {
+  if (Array.isArray(node)) return node.forEach(n => forEachRef(n, fn));
+  if (!node || typeof node !== 'object') return;
+  if (typeof node.$ref === 'string') fn(node.$ref);
+  for (const [k, v] of Object.entries(node)) {
+    if (k !== '$ref') forEachRef(v, fn);
+  }
+}
+
+function loadLocalSpec(rootPath) {
+  const baseDir = path.dirname(path.resolve(rootPath));
+  const rootRel = path.basename(rootPath);
+  const files = new Map();
+  const queue = [rootRel];
+  let totalBytes = 0;
+  while (queue.length) {
+    const rel = queue.shift();
+    if (files.has(rel)) continue;
+    const abs = path.join(baseDir, ...rel.split('/'));
+    if (!fs.existsSync(abs)) throw new Error(`Referenced spec file not found: ${rel}`);
+    const text = fs.readFileSync(abs, 'utf8');
+    totalBytes += Buffer.byteLength(text);
+    const doc = parseSpecText(text, rel);
+    files.set(rel, doc);
+    forEachRef(doc, (ref) => {
+      if (isRemoteRef(ref)) return;
+      const { file } = splitRef(ref);
+      if (file) queue.push(resolveRefFile(rel, file));
+    });
+  }
+  return { rootRel, files, totalBytes };
+}
+
+function referencedFiles(files, rootRel) {
+  const reached = new Set();
+  const queue = [rootRel];
+  while (queue.length) {
+    const rel = queue.shift();
+    if (reached.has(rel) || !files.has(rel)) continue;
+    reached.add(rel);
+    forEachRef(files.get(rel), (ref) => {
+      if (isRemoteRef(ref)) return;
+      const { file } = splitRef(ref);
+      if (file) queue.push(resolveRefFile(rel, file));
+    });
+  }
+  return reached;
+}
+
+function componentSectionFor(pointer, ctx) {
+  let m = /^\/components\/([^/]+)\/[^/]+$/.exec(pointer);
+  if (m && COMPONENT_SECTIONS.includes(m[1])) return m[1];
+  m = /^\/([^/]+)\/[^/]+$/.exec(pointer);
+  if (m && COMPONENT_SECTIONS.includes(m[1])) return m[1];
+  const last = ctx[ctx.length - 1];
+  const parent = ctx[ctx.length - 2];
+  if (SCHEMA_KEYS.includes(last) || SCHEMA_LIST_KEYS.includes(parent)) return 'schemas';
+  if (ctx[0] === 'components' && COMPONENT_SECTIONS.includes(ctx[1])) return ctx[1];
+  if (last === 'requestBody') return 'requestBodies';
+  return null;
+}
+
+function bundleSpecFiles(files, rootRel) {
+  const rootDoc = files.get(rootRel);
+  if (!rootDoc) throw new Error(`Root spec file ${rootRel} not loaded`);
+  const components = JSON.parse(JSON.stringify(rootDoc.components || {}));
+  const hoisted = new Map();
+
+  function uniqueName(section, base) {
+    components[section] = components[section] || {};
+    const clean = String(base).replace(/[^A-Za-z0-9._-]/g, '_') || 'Component';
+    let name = clean;
+    for (let n = 2; name in components[section]; n++) name = `${clean}${n}`;
+    return name;
+  }
+
+  function locate(ref, currentFile) {
+    const { file, pointer } = splitRef(ref);
+    const targetFile = file ? resolveRefFile(currentFile, file) : currentFile;
+    if (targetFile === rootRel) return { targetFile, pointer };
+    if (!files.has(targetFile)) throw new Error(`Referenced spec file not loaded: ${targetFile}`);
+    const target = getPointer(files.get(targetFile), pointer);
+    if (target === undefined) throw new Error(`Unresolvable $ref ${ref} in ${currentFile}`);
+    return { targetFile, pointer, target, refKey: `${targetFile}#${pointer}` };
+  }
+
+  function resolve(node, currentFile, ctx, stack) {
+    if (Array.isArray(node)) return node.map((n, i) => resolve(n, currentFile, [...ctx, i], stack));
+    if (!node || typeof node !== 'object') return node;
+    if (typeof node.$ref === 'string' && !isRemoteRef(node.$ref)) {
+      const { targetFile, pointer, target, refKey } = locate(node.$ref, currentFile);
+      if (targetFile === rootRel) return { ...node, $ref: `#${pointer}` };
+      const section = componentSectionFor(pointer, ctx);
+      if (section) {
+        if (!hoisted.has(refKey)) {
+          const base = decodePointer(pointer).pop() || path.posix.basename(targetFile).replace(/\.[^.]+$/, '');
+          const name = uniqueName(section, base);
+          hoisted.set(refKey, `#/components/${section}/${name}`);
+          components[section][name] = {};
+          components[section][name] = resolve(target, targetFile, ['components', section, name], stack);
+        }
+        return { $ref: hoisted.get(refKey) };
+      }
+      if (stack.includes(refKey)) throw new Error(`Circular $ref ${node.$ref} cannot be inlined (from ${currentFile})`);
+      return resolve(target, targetFile, ctx, [...stack, refKey]);
+    }
+    const out = {};
+    for (const [k, v] of Object.entries(node)) {
+      if (ctx.length === 0 && k === 'components') continue;
+      out[k] = resolve(v, currentFile, [...ctx, k], stack);
+    }
+    return out;
+  }
+
+  // Root components first. One that is only an external $ref adopts its target under its own name.
+  const rootComponents = rootDoc.components || {};
+  const adopted = [];
+  for (const [section, entries] of Object.entries(rootComponents)) {
+    for (const [name, value] of Object.entries(entries || {})) {
+      const keys = value && typeof value === 'object' ? Object.keys(value) : [];
+      if (keys.length === 1 && typeof value.$ref === 'string' && !isRemoteRef(value.$ref)) {
+        const located = locate(value.$ref, rootRel);
+        if (located.refKey && !hoisted.has(located.refKey)) {
+          hoisted.set(located.refKey, `#/components/${section}/${name}`);
+          adopted.push({ section, name, located });
+          continue;
+        }
+      }
+      components[section][name] = resolve(value, rootRel, ['components', section, name], []);
+    }
+  }
+  for (const { section, name, located } of adopted) {
+    components[section][name] = resolve(located.target, located.targetFile, ['components', section, name], []);
+  }
+
+  const bundled = resolve(rootDoc, rootRel, [], []);
+  if (Object.keys(components).length) bundled.components = components;
+  return bundled;
+}
+
+function externalPathItemRefs(rootDoc, rootRel) {
+  // [{ path, file, pointer }] for root `paths` entries that live in other files
+  const refs = [];
+  for (const [p, item] of Object.entries(rootDoc?.paths || {})) {
+    if (typeof item?.$ref !== 'string' || isRemoteRef(item.$ref)) continue;
+    const { file, pointer } = splitRef(item.$ref);
+    if (!file) continue;
+    refs.push({ path: p, file: resolveRefFile(rootRel, file), pointer });
+  }
+  return refs;
+}
+
+module.exports = {
+  isYamlPath,
+  parseSpecText,
+  serializeSpecFile,
+  loadLocalSpec,
+  bundleSpecFiles,
+  referencedFiles,
+  externalPathItemRefs,
+  getPointer,
+  setPointer,
+};
@@ -0,0 +1,121 @@
+/*
+Ingestion state schema version, migrations and validation (used by state_store.js).
+
+The schema lives in state/state.schema.json; `meta.schemaVersion` records which
+version a state was written with. Files without it are version 1 (the original
+layout, optionally with `meta.version: "1.0"`). On load, states are migrated
+step by step to CURRENT_SCHEMA_VERSION and then validated; the migrated form is
+persisted by the next write. A state written by a newer version of these scripts
+is rejected rather than downgraded.
+
+To change the schema: bump CURRENT_SCHEMA_VERSION and the schema's
+`meta.schemaVersion` const, and append a migration from the previous version.
+That includes new optional entry fields: entries don't allow unknown properties,
+so older scripts reject the whole state as soon as one entry carries a field
+they don't know. The bump makes them say so up front ("update the scripts")
+instead of failing on a schema error.
+*/
+
+const SCHEMA = require('../../state/state.schema.json');
+const { validate } = require('./json_schema');
+
+const CURRENT_SCHEMA_VERSION = 3;
+
+const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: 'add meta.schemaVersion; drop meta.version and empty environment UIDs',
+    migrate(state) {
+      const { version, ...meta } = state.meta || {};
+      state.meta = { ...meta, schemaVersion: 2 };
+      for (const entry of Object.values(state.entries || {})) {
+        if (entry?.environments && typeof entry.environments === 'object') {
+          for (const [name, uid] of Object.entries(entry.environments)) {
+            // Failed upserts used to be recorded as null/undefined UIDs
+            if (!uid) delete entry.environments[name];
+          }
+        }
+      }
+    },
+  },
+  {
+    from: 2,
+    to: 3,
+    description: 'allow region, mockId, mockUrl and contractTestsSha on entries',
+    migrate(state) {
+      state.meta = { ...state.meta, schemaVersion: 3 };
+    },
+  },
+];
+
+class StateSchemaError extends Error {
+  constructor(location, errors) {
+    const lines = errors.slice(0, 20).map(e => `  ${e.path}: ${e.message}`);
+    if (errors.length > lines.length) lines.push(`  ... ${errors.length - lines.length} more`);
+    super(`State at ${location} does not match schema v${CURRENT_SCHEMA_VERSION}:\n${lines.join('\n')}\n`
+      + 'Fix or remove the offending entries with `node scripts/state.js` (see state/README.md); the state was not modified.');
+    this.name = 'StateSchemaError';
+    this.errors = errors;
+    this.exitCode = 1; // expected failure: print the message, not a stack
+  }
+}
+
+function stateError(message) {
+  const err = new Error(message);
+  err.exitCode = 1;
+  return err;
+}
+
+function emptyState() {
+  return { entries: {}, meta: { schemaVersion: CURRENT_SCHEMA_VERSION } };
+}
+
+function schemaVersionOf(state) {
+  return Number.isInteger(state?.meta?.schemaVersion) ? state.meta.schemaVersion : 1;
+}
+
+// Migrates `state` in place; returns { fromVersion, applied: [description] }
+function migrateState(state, location) {
+  const fromVersion = schemaVersionOf(state);
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw stateError(`State at ${location} uses schema v${fromVersion}, but these scripts only support up to v${CURRENT_SCHEMA_VERSION}; update the scripts before syncing`);
+  }
+  const applied = [];
+  for (let v = fromVersion; v < CURRENT_SCHEMA_VERSION; v++) {
+    const step = MIGRATIONS.find(m => m.from === v);
+    if (!step) throw new Error(`No state migration from schema v${v}`);
+    step.migrate(state);
+    applied.push(`v${step.from} -> v${step.to}: ${step.description}`);
+  }
+  return { fromVersion, applied };
+}
+
+function validateState(state) {
+  return validate(state, SCHEMA);
+}
+
+// Parse, migrate and validate state text; never returns a partially valid state
+function checkStateText(text, location) {
+  let state;
+  try {
+    state = JSON.parse(text);
+  } catch (e) {
+    // Never treat an unreadable state as empty: the next write would recreate every spec and collection
+    throw stateError(`Could not parse state at ${location}: ${e.message}`);
+  }
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    throw new StateSchemaError(location, [{ path: '(root)', message: 'expected object' }]);
+  }
+  const migration = migrateState(state, location);
+  return { state, ...migration, errors: validateState(state) };
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  StateSchemaError,
+  emptyState,
+  migrateState,
+  validateState,
+  checkStateText,
+};
@@ -0,0 +1,304 @@
+/*
+State backends for the ingestion state (spec_sync.js, backfill.js).
+
+`--state-file` selects the backend by URI:
+  state/postman-ingestion-state.json    local file (default; also file://...)
+  s3://bucket/path/state.json            S3 or an S3-compatible store (MinIO, ...)
+  dynamodb://table/item-key              DynamoDB or a DynamoDB-compatible table
+
+S3 and DynamoDB URIs accept ?endpoint=http://localhost:9000 and ?region=...;
+otherwise AWS_ENDPOINT_URL_S3 / AWS_ENDPOINT_URL_DYNAMODB / AWS_ENDPOINT_URL
+and AWS_REGION apply. A custom S3 endpoint uses path-style URLs. Credentials
+come from the AWS_* environment variables (scripts/lib/aws_sigv4.js).
+
+Writes are read-modify-write with optimistic concurrency: every backend returns
+a version with the state (file content hash, S3 ETag, DynamoDB `version`
+attribute) and refuses a write whose version is no longer current (file:
+checked under a lease lock file; S3: If-Match / If-None-Match; DynamoDB:
+condition expression). On conflict, update() re-reads and re-applies its
+change, so concurrent syncs that touch different entries never lose each
+other's writes.
+
+Every load is migrated to the current schema and validated
+(scripts/lib/state_schema.js), and every write is validated before it is
+sent, so a corrupt or hand-broken state fails loudly instead of being
+treated as empty.
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { signRequest } = require('./aws_sigv4');
+const { StateSchemaError, emptyState, validateState, checkStateText } = require('./state_schema');
+
+const DEFAULT_STATE_FILE = 'state/postman-ingestion-state.json';
+const MAX_UPDATE_ATTEMPTS = 8;
+const LOCK_LEASE_MS = 30000;
+
+class StateConflictError extends Error {
+  constructor(location) {
+    super(`State at ${location} was changed by another writer`);
+    this.name = 'StateConflictError';
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function encodeKeyPath(key) {
+  return key.split('/').map(s => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)).join('/');
+}
+
+function awsRegion(params) {
+  return params.get('region') || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
+}
+
+async function awsFetch(url, { method = 'GET', headers = {}, body = '', service, region, signPayloadHeader }) {
+  const signed = signRequest({ method, url, headers, body, service, region, signPayloadHeader });
+  return fetch(url, { method, headers: signed, body: method === 'GET' ? undefined : body });
+}
+
+async function requestError(res, what) {
+  const text = await res.text().catch(() => '');
+  return new Error(`${what} failed: ${res.status} ${res.statusText} ${text.slice(0, 500)}`);
+}
+
+// ---------- local file (lease lock file + content hash) ----------
+
+function fileBackend(filePath) {
+  const lockPath = `${filePath}.lock`;
+
+  async function acquireLock() {
+    const deadline = Date.now() + LOCK_LEASE_MS * 2;
+    for (;;) {
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const fd = fs.openSync(lockPath, 'wx');
+        fs.writeSync(fd, JSON.stringify({ pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString() }));
+        fs.closeSync(fd);
+        return;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+      }
+      // A lease older than LOCK_LEASE_MS belongs to a crashed writer
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_LEASE_MS) {
+          console.warn(`Removing stale state lock ${lockPath}`);
+          fs.unlinkSync(lockPath);
+          continue;
+        }
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for state lock ${lockPath}`);
+      await sleep(50 + Math.random() * 100);
+    }
+  }
+
+  function readCurrent() {
+    try {
+      return fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  return {
+    kind: 'file',
+    location: filePath,
+    async load() {
+      const text = readCurrent();
+      return { text, version: text === null ? null : sha256(text) };
+    },
+    async save(text, version) {
+      await acquireLock();
+      try {
+        const current = readCurrent();
+        if ((current === null ? null : sha256(current)) !== version) throw new StateConflictError(filePath);
+        const tmp = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, text);
+        fs.renameSync(tmp, filePath);
+        return sha256(text);
+      } finally {
+        fs.rmSync(lockPath, { force: true });
+      }
+    },
+  };
+}
+
+// ---------- S3 / S3-compatible (ETag + conditional PUT) ----------
+
+function s3Backend(uri) {
+  const bucket = uri.hostname;
+  const key = decodeURIComponent(uri.pathname.replace(/^\//, ''));
+  if (!bucket || !key) throw new Error(`Invalid S3 state URI ${uri.href}; expected s3://bucket/path/state.json`);
+  const region = awsRegion(uri.searchParams);
+  const endpoint = uri.searchParams.get('endpoint') || process.env.AWS_ENDPOINT_URL_S3 || process.env.AWS_ENDPOINT_URL;
+  const url = endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}/${encodeKeyPath(key)}`
+    : `https://${bucket}.s3.${region}.amazonaws.com/${encodeKeyPath(key)}`;
+  const location = `s3://${bucket}/${key}`;
+  const request = (method, headers, body) => awsFetch(url, { method, headers, body, service: 's3', region, signPayloadHeader: true });
+
+  return {
+    kind: 's3',
+    location,
+    async load() {
+      const res = await request('GET', {});
+      if (res.status === 404) return { text: null, version: null };
+      if (!res.ok) throw await requestError(res, `GET ${location}`);
+      return { text: await res.text(), version: res.headers.get('etag') };
+    },
+    async save(text, version) {
+      const headers = { 'content-type': 'application/json' };
+      if (version) headers['if-match'] = version;
+      else headers['if-none-match'] = '*';
+      const res = await request('PUT', headers, text);
+      // 409 ConditionalRequestConflict: a concurrent conditional write is in progress
+      if (res.status === 412 || res.status === 409) throw new StateConflictError(location);
+      if (!res.ok) throw await requestError(res, `PUT ${location}`);
+      return res.headers.get('etag');
+    },
+  };
+}
+
+// ---------- DynamoDB / DynamoDB-compatible (numeric version attribute) ----------
+
+function dynamoBackend(uri) {
+  const table = uri.hostname;
+  const itemKey = decodeURIComponent(uri.pathname.replace(/^\//, '')) || 'postman-ingestion-state';
+  if (!table) throw new Error(`Invalid DynamoDB state URI ${uri.href}; expected dynamodb://table/item-key`);
+  const keyAttr = uri.searchParams.get('key-attribute') || 'pk';
+  const region = awsRegion(uri.searchParams);
+  const endpoint = (uri.searchParams.get('endpoint') || process.env.AWS_ENDPOINT_URL_DYNAMODB || process.env.AWS_ENDPOINT_URL
+    || `https://dynamodb.${region}.amazonaws.com`).replace(/\/$/, '');
+  const location = `dynamodb://${table}/${itemKey}`;
+
+  async function call(operation, payload) {
+    const body = JSON.stringify(payload);
+    const res = await awsFetch(`${endpoint}/`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-amz-json-1.0', 'x-amz-target': `DynamoDB_20120810.${operation}` },
+      body,
+      service: 'dynamodb',
+      region,
+    });
+    const text = await res.text();
+    const data = text ? JSON.parse(text) : {};
+    if (!res.ok) {
+      if (String(data.__type || '').endsWith('ConditionalCheckFailedException')) throw new StateConflictError(location);
+      throw new Error(`DynamoDB ${operation} on ${location} failed: ${res.status} ${data.__type || ''} ${data.message || data.Message || text.slice(0, 500)}`);
+    }
+    return data;
+  }
+
+  return {
+    kind: 'dynamodb',
+    location,
+    async load() {
+      const { Item } = await call('GetItem', { TableName: table, Key: { [keyAttr]: { S: itemKey } }, ConsistentRead: true });
+      if (!Item) return { text: null, version: null };
+      return { text: Item.state?.S ?? '', version: Number(Item.version?.N || 0) };
+    },
+    async save(text, version) {
+      const next = (version || 0) + 1;
+      await call('PutItem', {
+        TableName: table,
+        Item: {
+          [keyAttr]: { S: itemKey },
+          state: { S: text },
+          version: { N: String(next) },
+          updatedAt: { S: new Date().toISOString() },
+        },
+        ...(version === null
+          ? { ConditionExpression: 'attribute_not_exists(#k)', ExpressionAttributeNames: { '#k': keyAttr } }
+          : { ConditionExpression: '#v = :v', ExpressionAttributeNames: { '#v': 'version' }, ExpressionAttributeValues: { ':v': { N: String(version) } } }),
+      });
+      return next;
+    },
+  };
+}
+
+// ---------- store ----------
+
+function backendFor(location) {
+  if (/^s3:\/\//i.test(location)) return s3Backend(new URL(location));
+  if (/^dynamodb:\/\//i.test(location)) return dynamoBackend(new URL(location));
+  if (/^file:\/\//i.test(location)) return fileBackend(decodeURIComponent(new URL(location).pathname));
+  if (/^[a-z][a-z0-9+.-]+:\/\//i.test(location)) throw new Error(`Unsupported state backend: ${location}`);
+  return fileBackend(location);
+}
+
+function openStateStore(location = DEFAULT_STATE_FILE) {
+  const backend = backendFor(location);
+  // Updates from one process are applied one at a time; other processes are handled by the backend's version check
+  let queue = Promise.resolve();
+  let reportedMigration = false;
+
+  async function inspect() {
+    const { text, version } = await backend.load();
+    if (text === null) return { state: emptyState(), version, exists: false, fromVersion: null, applied: [], errors: [] };
+    return { ...checkStateText(text, backend.location), version, exists: true };
+  }
+
+  async function load() {
+    const result = await inspect();
+    if (result.errors.length) throw new StateSchemaError(backend.location, result.errors);
+    if (result.applied.length && !reportedMigration) {
+      reportedMigration = true;
+      console.log(`Migrating state at ${backend.location} from schema v${result.fromVersion} (saved on next write)`);
+    }
+    return result;
+  }
+
+  async function applyUpdate(mutate, { repair }) {
+    for (let attempt = 1; ; attempt++) {
+      const { state, version, errors: before } = repair ? await inspect() : await load();
+      mutate(state);
+      state.meta = { ...state.meta, lastUpdated: new Date().toISOString() };
+      // A repair may leave problems it didn't touch (they can be fixed one edit at a time), never add one
+      const errors = validateState(state).filter(e => !before.some(b => b.path === e.path && b.message === e.message));
+      if (errors.length) throw new StateSchemaError(`${backend.location} (pending write)`, errors);
+      try {
+        await backend.save(JSON.stringify(state, null, 2), version);
+        return state;
+      } catch (err) {
+        if (!(err instanceof StateConflictError) || attempt >= MAX_UPDATE_ATTEMPTS) throw err;
+        await sleep(Math.random() * Math.min(2000, 100 * 2 ** attempt));
+      }
+    }
+  }
+
+  const store = {
+    kind: backend.kind,
+    location: backend.location,
+    async read() {
+      return (await load()).state;
+    },
+    // Raw check for `state.js validate`: { state, exists, fromVersion, applied, errors } without throwing on schema errors
+    inspect,
+    // `mutate(state)` may run several times (once per conflict), always on freshly read state.
+    // With { repair: true } the state is loaded without validation (state.js edits of a state the schema
+    // rejects); the write is refused only if the result has schema problems the state didn't have before.
+    update(mutate, { repair = false } = {}) {
+      const run = queue.then(() => applyUpdate(mutate, { repair }));
+      queue = run.catch(() => {});
+      return run;
+    },
+    putEntry(key, entry) {
+      const snapshot = JSON.parse(JSON.stringify(entry));
+      return store.update((state) => { state.entries[key] = snapshot; });
+    },
+  };
+  return store;
+}
+
+module.exports = { openStateStore, StateConflictError, DEFAULT_STATE_FILE };
@@ -0,0 +1,399 @@
+/*
+Spec transform pipeline: an ordered list of named transformers run by spec_sync.js on every export
+before it is uploaded to Spec Hub.
+
+Built-ins (in this order; all but operation-names form the default pipeline):
+  aws-root-extensions  drop x-amazon-apigateway-cors / -importexport-version / -api-key-source
+                       (options.keep: extension names to leave in place)
+  aws-authorizers      API Gateway authorizers -> standard security schemes (scripts/lib/aws_auth.js)
+  aws-tags             drop tags whose name starts with options.prefixes (default ["aws:", "httpapi:"])
+  aws-paths            {proxy+} routes -> declared sub-paths or GET/POST placeholders; drop
+                       x-amazon-apigateway-integration / -request-validator from operations and
+                       x-amazon-apigateway-param from parameters (options.keep: extension names to leave in place)
+  operation-names      opt-in: fill in missing operationIds, summaries and tags from method and path
+                       (scripts/lib/operation_names.js; options operationIds / summaries / tags: false to
+                       skip one, tagSource: "path" (default) or "integration" for the Lambda function name).
+                       Off by default because turning it on renames the requests of existing collections
+  base-path            inline the {basePath} server variable
+
+Configure with "transformers" in config/environments.json (globally, or per service under
+services.<service>.transformers, which replaces the global list):
+  "transformers": [
+    "defaults",                                                   // the default built-ins, in order
+    "operation-names",                                            // opt-in built-in, runs in its slot
+    { "name": "aws-tags", "options": { "prefixes": ["aws:", "internal:"] } },
+    { "path": "transformers/strip-internal.js", "options": { "prefix": "/internal" } }
+  ]
+A built-in listed next to "defaults" takes its slot in the order above (with the given options)
+instead of running a second time; leave "defaults" out to pick built-ins one by one. Custom modules (paths relative to the working directory) export
+`function (spec, context)` or `{ name, apply(spec, context) }`; `apply` edits `spec` in place and
+may return a string or a list of strings describing what it changed, which goes to the run log.
+`context` has { options, log, service, proxyRoutes, source } (`source`: the spec before any transformer ran). Transformers can also define
+`pathItem(path, pathItem, context)` (returning the new path item) to process path items of a
+split spec that live in other files; everything else only sees the root file.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const {
+  SIGV4_SCHEME_NAME,
+  SIGV4_SCHEME,
+  translateSecuritySchemes,
+  translateOperationAuth,
+  dropBearerScopes,
+} = require('./aws_auth');
+const { expandProxyRoute, mergeComponents } = require('./proxy_routes');
+const { nameOperations } = require('./operation_names');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+const ROOT_EXTENSIONS = ['x-amazon-apigateway-cors', 'x-amazon-apigateway-importexport-version', 'x-amazon-apigateway-api-key-source'];
+const OPERATION_EXTENSIONS = ['x-amazon-apigateway-integration', 'x-amazon-apigateway-request-validator'];
+const PARAMETER_EXTENSIONS = ['x-amazon-apigateway-param'];
+
+function configError(message) {
+  const err = new Error(`Invalid transformer config: ${message}`);
+  err.exitCode = 2;
+  return err;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+// ---- aws-paths helpers ------------------------------------------------------
+
+function stripExtensions(obj, names, keep, counter) {
+  for (const k of names) {
+    if (k in obj && !keep.includes(k)) {
+      delete obj[k];
+      counter.removed++;
+    }
+  }
+}
+
+function transformPathItem(apiPath, pathItem, { keep = [] } = {}, counter = { removed: 0 }) {
+  const cleanPathItem = {};
+
+  // Handle proxy routes (/{proxy+}) by converting x-amazon-apigateway-any-method to common methods
+  if (pathItem['x-amazon-apigateway-any-method']) {
+    const anyMethod = { ...pathItem['x-amazon-apigateway-any-method'] };
+    translateOperationAuth(anyMethod);
+    const security = anyMethod.security ? { security: anyMethod.security } : {};
+    // For proxy routes, create a generic POST method (common for Lambda proxies)
+    cleanPathItem.post = {
+      summary: `Proxy route: ${apiPath}`,
+      description: `Generic proxy route that forwards requests to Lambda function`,
+      parameters: pathItem.parameters || [],
+      ...security,
+      responses: anyMethod.responses || {
+        '200': { description: 'Success response' },
+        '500': { description: 'Error response' }
+      },
+      requestBody: {
+        description: 'Request body',
+        content: {
+          'application/json': {
+            schema: { type: 'object' }
+          }
+        }
+      }
+    };
+
+    // Also add GET for common use cases
+    cleanPathItem.get = {
+      summary: `Proxy route: ${apiPath}`,
+      description: `Generic proxy route that forwards requests to Lambda function`,
+      parameters: [
+        ...(pathItem.parameters || []),
+        {
+          name: 'query',
+          in: 'query',
+          description: 'Query parameters',
+          required: false,
+          schema: { type: 'object' }
+        }
+      ],
+      ...security,
+      responses: anyMethod.responses || {
+        '200': { description: 'Success response' },
+        '500': { description: 'Error response' }
+      }
+    };
+  } else {
+    // For standard paths, copy method operations and clean AWS extensions
+    for (const [method, operation] of Object.entries(pathItem)) {
+      if (HTTP_METHODS.includes(method.toLowerCase())) {
+        const cleanOperation = { ...operation };
+        // IAM authorization set per method becomes a SigV4 security requirement
+        translateOperationAuth(cleanOperation);
+        // Remove AWS-specific operation extensions
+        stripExtensions(cleanOperation, OPERATION_EXTENSIONS, keep, counter);
+        cleanPathItem[method] = cleanOperation;
+      }
+    }
+  }
+
+  // Copy parameters if they exist
+  if (pathItem.parameters) {
+    cleanPathItem.parameters = pathItem.parameters.map(param => {
+      const cleanParam = { ...param };
+      stripExtensions(cleanParam, PARAMETER_EXTENSIONS, keep, counter);
+      return cleanParam;
+    });
+  }
+
+  return cleanPathItem;
+}
+
+// Align operation security with the translated schemes: methods with IAM authorization reference the
+// sigv4 scheme even when the export does not define it, and bearer schemes take no scopes
+function finishOperationSecurity(rootSpec, pathItems) {
+  const operations = pathItems
+    .filter(pathItem => pathItem && typeof pathItem === 'object')
+    .flatMap(pathItem => Object.values(pathItem).filter(op => Array.isArray(op?.security)));
+  const usesSigv4 = operations.some(op => op.security.some(req => req && SIGV4_SCHEME_NAME in req));
+  if (usesSigv4 && !rootSpec.components?.securitySchemes?.[SIGV4_SCHEME_NAME]) {
+    rootSpec.components = rootSpec.components || {};
+    rootSpec.components.securitySchemes = { ...rootSpec.components.securitySchemes, [SIGV4_SCHEME_NAME]: { ...SIGV4_SCHEME } };
+  }
+  for (const op of operations) dropBearerScopes(op, rootSpec.components?.securitySchemes);
+}
+
+// ---- built-ins ----------------------------------------------------------------
+
+const BUILTINS = {
+  'aws-root-extensions': {
+    apply(spec, { options }) {
+      const keep = options.keep || [];
+      const removed = ROOT_EXTENSIONS.filter(k => k in spec && !keep.includes(k));
+      removed.forEach(k => delete spec[k]);
+      return removed.length ? [`removed ${removed.join(', ')}`] : [];
+    },
+  },
+
+  'aws-authorizers': {
+    apply(spec) {
+      if (!spec.components?.securitySchemes) return [];
+      const before = spec.components.securitySchemes;
+      spec.components.securitySchemes = translateSecuritySchemes(before);
+      dropBearerScopes(spec, spec.components.securitySchemes);
+      return Object.entries(spec.components.securitySchemes)
+        .filter(([name, scheme]) => JSON.stringify(scheme) !== JSON.stringify(before[name]))
+        .map(([name, scheme]) => `${name} -> ${scheme.type}${scheme.scheme ? ` ${scheme.scheme}` : ''}`);
+    },
+  },
+
+  'aws-tags': {
+    apply(spec, { options }) {
+      // Filter out AWS CloudFormation tags, keep only meaningful tags
+      if (!Array.isArray(spec.tags)) return [];
+      const prefixes = options.prefixes || ['aws:', 'httpapi:'];
+      const dropped = spec.tags.filter(tag => !tag.name || prefixes.some(p => tag.name.startsWith(p)));
+      spec.tags = spec.tags.filter(tag => !dropped.includes(tag));
+      return dropped.length ? [`removed ${plural(dropped.length, 'tag')} (${dropped.map(t => t.name || '(unnamed)').join(', ')})`] : [];
+    },
+  },
+
+  'aws-paths': {
+    apply(spec, { options, proxyRoutes }) {
+      if (!spec.paths) return [];
+      const changes = [];
+      const counter = { removed: 0 };
+      const transformedPaths = {};
+      const declared = proxyRoutes?.routes || {};
+      const placeholders = [];
+
+      for (const [apiPath, pathItem] of Object.entries(spec.paths)) {
+        // Path items split into other files are transformed in their own file (pathItem below)
+        if (typeof pathItem.$ref === 'string') {
+          if (declared[apiPath]) changes.push(`proxy route ${apiPath} is in a separate file; pass --bundle to expand its declared sub-paths`);
+          transformedPaths[apiPath] = pathItem;
+          continue;
+        }
+
+        // Replace a declared proxy route with its sub-paths (scripts/lib/proxy_routes.js)
+        if (pathItem['x-amazon-apigateway-any-method'] && declared[apiPath]) {
+          const anyMethod = { ...pathItem['x-amazon-apigateway-any-method'] };
+          translateOperationAuth(anyMethod);
+          const { paths, operations } = expandProxyRoute(apiPath, pathItem, anyMethod, declared[apiPath]);
+          changes.push(`expanded proxy route ${apiPath} into ${plural(Object.keys(paths).length, 'path')}, ${plural(operations, 'operation')} (${proxyRoutes.source})`);
+          Object.assign(transformedPaths, paths);
+          continue;
+        }
+        if (pathItem['x-amazon-apigateway-any-method']) placeholders.push(apiPath);
+
+        const cleanPathItem = transformPathItem(apiPath, pathItem, options, counter);
+
+        // Only add path if it has at least one HTTP method
+        if (Object.keys(cleanPathItem).length > 0) {
+          transformedPaths[apiPath] = cleanPathItem;
+        } else {
+          changes.push(`dropped ${apiPath} (no methods)`);
+        }
+      }
+
+      for (const apiPath of Object.keys(declared).filter(p => !spec.paths[p])) {
+        changes.push(`declared proxy route ${apiPath} is not in the spec; ignored`);
+      }
+      spec.paths = transformedPaths;
+      finishOperationSecurity(spec, Object.values(transformedPaths));
+      if (placeholders.length) {
+        changes.push(`GET/POST placeholders for proxy route(s) without declared methods: ${placeholders.join(', ')} (see "proxy" in config/environments.json)`);
+      }
+      if (counter.removed) changes.push(`removed ${plural(counter.removed, 'AWS extension')} from operations and parameters`);
+      if (proxyRoutes?.components) {
+        const overridden = mergeComponents(spec, proxyRoutes.components);
+        changes.push(`merged proxy route components${overridden.length ? ` (replaces ${overridden.join(', ')})` : ''}`);
+      }
+      return changes;
+    },
+    pathItem(apiPath, pathItem, { options, rootSpec }) {
+      const clean = transformPathItem(apiPath, pathItem, options);
+      finishOperationSecurity(rootSpec, [clean]);
+      return clean;
+    },
+  },
+
+  'operation-names': {
+    apply(spec, { options, source }) {
+      const counts = nameOperations(spec, { ...options, source });
+      const labels = { operationIds: ['operationId', 'operationIds'], summaries: ['summary', 'summaries'], tags: ['tag', 'tags'] };
+      return Object.entries(counts)
+        .filter(([, n]) => n)
+        .map(([field, n]) => `added ${n} ${labels[field][n === 1 ? 0 : 1]}`);
+    },
+    pathItem(apiPath, pathItem, { options, source }) {
+      nameOperations({ paths: { [apiPath]: pathItem } }, { ...options, source });
+      return pathItem;
+    },
+  },
+
+  'base-path': {
+    apply(spec) {
+      // Clean up server URLs - remove template variables if they're just basePath
+      if (!Array.isArray(spec.servers)) return [];
+      let flattened = 0;
+      spec.servers = spec.servers.map(server => {
+        const cleaned = { ...server };
+        // If server has {basePath} variable and it defaults to stage, simplify
+        if (cleaned.variables && cleaned.variables.basePath) {
+          const basePath = cleaned.variables.basePath.default || '';
+          if (basePath && cleaned.url.includes('{basePath}')) {
+            cleaned.url = cleaned.url.replace('{basePath}', basePath);
+            cleaned.variables = { ...cleaned.variables };
+            delete cleaned.variables.basePath;
+            // Remove variables object if empty
+            if (Object.keys(cleaned.variables).length === 0) {
+              delete cleaned.variables;
+            }
+            flattened++;
+          }
+        }
+        return cleaned;
+      });
+      return flattened ? [`inlined {basePath} in ${plural(flattened, 'server')}`] : [];
+    },
+  },
+};
+
+// Built-ins that only run when listed: operation-names would rename every existing collection's requests
+const OPT_IN = ['operation-names'];
+const DEFAULT_PIPELINE = Object.keys(BUILTINS).filter(name => !OPT_IN.includes(name));
+
+function builtin(name, options = {}) {
+  if (!BUILTINS[name]) throw configError(`unknown transformer "${name}" (built-ins: ${Object.keys(BUILTINS).join(', ')})`);
+  return { name, options, ...BUILTINS[name] };
+}
+
+function loadModule(entry) {
+  const file = path.resolve(entry.path);
+  if (!fs.existsSync(file)) throw configError(`${entry.path} not found`);
+  let mod;
+  try {
+    mod = require(file);
+  } catch (e) {
+    throw configError(`cannot load ${entry.path}: ${e.message.split('\n')[0]}`);
+  }
+  const apply = typeof mod === 'function' ? mod : mod?.apply;
+  if (typeof apply !== 'function') throw configError(`${entry.path} must export a function or { apply }`);
+  return {
+    name: entry.name || mod.name || path.basename(file, path.extname(file)),
+    options: entry.options || {},
+    apply,
+    pathItem: typeof mod.pathItem === 'function' ? mod.pathItem : undefined,
+  };
+}
+
+// The ordered transformer list for a service (see the header for the config format)
+function resolveTransformers({ config, service } = {}) {
+  const services = config?.services || {};
+  const serviceConfig = service ? (services[service.replace(/\s+/g, '_')] || services[service]) : null;
+  const entries = serviceConfig?.transformers || config?.transformers || ['defaults'];
+  if (!Array.isArray(entries)) throw configError('"transformers" must be a list');
+
+  const pipeline = [];
+  // Next to "defaults", built-ins (default or opt-in) run in their slot of the built-in order
+  const slotted = new Map();
+  for (const entry of entries) {
+    if (!entries.includes('defaults')) break;
+    if (typeof entry === 'string' && BUILTINS[entry]) slotted.set(entry, {});
+    else if (entry && typeof entry === 'object' && entry.name && !entry.path && BUILTINS[entry.name]) slotted.set(entry.name, entry.options || {});
+  }
+  for (const entry of entries) {
+    if (entry === 'defaults') {
+      const names = Object.keys(BUILTINS).filter(name => DEFAULT_PIPELINE.includes(name) || slotted.has(name));
+      pipeline.push(...names.map(name => builtin(name, slotted.get(name))));
+    } else if (typeof entry === 'string') {
+      if (!slotted.has(entry)) pipeline.push(builtin(entry));
+    } else if (entry && typeof entry === 'object' && entry.path) {
+      pipeline.push(loadModule(entry));
+    } else if (entry && typeof entry === 'object' && entry.name) {
+      if (!slotted.has(entry.name)) pipeline.push(builtin(entry.name, entry.options || {}));
+    } else {
+      throw configError(`entries must be a built-in name, "defaults", { name, options } or { path, options } (got ${JSON.stringify(entry)})`);
+    }
+  }
+  return pipeline;
+}
+
+function describeChanges(result) {
+  if (Array.isArray(result)) return result.map(String);
+  if (typeof result === 'string' && result) return [result];
+  return null;
+}
+
+// Run the pipeline on `spec` in place; each transformer's changes go to `log`
+function runTransformers(spec, pipeline, { log = console.log, ...context } = {}) {
+  for (const transformer of pipeline) {
+    const before = JSON.stringify(spec);
+    let changes;
+    try {
+      changes = describeChanges(transformer.apply(spec, { ...context, log, options: transformer.options || {} }));
+    } catch (e) {
+      e.message = `Transformer ${transformer.name} failed: ${e.message}`;
+      throw e;
+    }
+    // Custom transformers don't have to describe their changes; say at least whether there were any
+    if (!changes) changes = JSON.stringify(spec) === before ? [] : ['changed the spec'];
+    if (changes.length) log(`Transform ${transformer.name}: ${changes.join('; ')}`);
+  }
+  return spec;
+}
+
+// Path items of a split spec that live in other files: run every transformer that handles them
+function transformPathItemFile(apiPath, pathItem, pipeline, context) {
+  return pipeline.reduce(
+    (item, transformer) => (transformer.pathItem
+      ? transformer.pathItem(apiPath, item, { ...context, options: transformer.options || {} })
+      : item),
+    pathItem
+  );
+}
+
+module.exports = {
+  BUILTINS,
+  DEFAULT_PIPELINE,
+  resolveTransformers,
+  runTransformers,
+  transformPathItemFile,
+};
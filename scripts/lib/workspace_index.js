@@ -0,0 +1,69 @@
+/*
+Per-run, in-memory index of workspace specs, collections, environments and mocks.
+
+The first lookup of a kind lists the whole workspace (every page, via
+pmFetchAllPages); later lookups in the same process reuse that list. Scripts
+record what they create or delete so the index stays accurate without
+re-listing, and call invalidateWorkspaceIndex when they need a fresh listing
+(e.g. after an async generation task whose result can't be read).
+*/
+
+const { pmFetchAllPages } = require('./postman_client');
+
+const LISTS = {
+  specs: { itemsKey: 'specs', idKey: 'id' },
+  collections: { itemsKey: 'collections', idKey: 'uid' },
+  environments: { itemsKey: 'environments', idKey: 'uid' },
+  // The mocks listing filters by `workspace`, not `workspaceId`
+  mocks: { itemsKey: 'mocks', idKey: 'id', workspaceParam: 'workspace' },
+};
+
+const cache = new Map();
+
+function cacheKey(kind, workspaceId) {
+  if (!LISTS[kind]) throw new Error(`Unknown workspace asset kind: ${kind}`);
+  return `${kind}:${workspaceId || ''}`;
+}
+
+async function listWorkspace(kind, workspaceId, apiKey) {
+  const k = cacheKey(kind, workspaceId);
+  if (!cache.has(k)) {
+    const query = workspaceId ? `?${LISTS[kind].workspaceParam || 'workspaceId'}=${encodeURIComponent(workspaceId)}` : '';
+    const pending = pmFetchAllPages(`/${kind}${query}`, LISTS[kind].itemsKey, { headers: { 'x-api-key': apiKey } });
+    cache.set(k, pending);
+    // A failed listing should not poison later lookups
+    pending.catch(() => cache.delete(k));
+  }
+  return cache.get(k);
+}
+
+async function findInWorkspace(kind, workspaceId, name, apiKey) {
+  const matches = (await listWorkspace(kind, workspaceId, apiKey)).filter(item => item.name === name);
+  if (matches.length > 1) {
+    const ids = matches.map(item => item[LISTS[kind].idKey] || item.id);
+    console.warn(`Found ${matches.length} ${kind} named "${name}" (${ids.join(', ')}); using ${ids[0]}`);
+  }
+  return matches[0] || null;
+}
+
+function rememberInWorkspace(kind, workspaceId, item) {
+  const k = cacheKey(kind, workspaceId);
+  if (cache.has(k)) cache.set(k, cache.get(k).then(items => [...items, item]));
+}
+
+function forgetInWorkspace(kind, workspaceId, id) {
+  const k = cacheKey(kind, workspaceId);
+  if (cache.has(k)) cache.set(k, cache.get(k).then(items => items.filter(item => (item[LISTS[kind].idKey] || item.id) !== id)));
+}
+
+function invalidateWorkspaceIndex(kind, workspaceId) {
+  cache.delete(cacheKey(kind, workspaceId));
+}
+
+module.exports = {
+  listWorkspace,
+  findInWorkspace,
+  rememberInWorkspace,
+  forgetInWorkspace,
+  invalidateWorkspaceIndex,
+};
@@ -0,0 +1,407 @@
+/*
+Minimal YAML reader/writer for OpenAPI documents (no external deps).
+
+Supported: block mappings and sequences, plain/single/double-quoted scalars,
+multi-line plain scalars, literal (|) and folded (>) block scalars with
+chomping indicators, flow collections ({...} / [...]) including ones that
+span several lines, comments, and a leading "---" document marker.
+
+Not supported (a clear error is thrown): anchors/aliases, tags, multiple
+documents and complex (? ) keys. These are rare in API specs; convert such
+files with a full YAML tool first.
+*/
+
+class YamlError extends Error {
+  constructor(message, lineNo) {
+    super(lineNo ? `YAML parse error on line ${lineNo}: ${message}` : `YAML parse error: ${message}`);
+    this.name = 'YamlError';
+  }
+}
+
+function stripComment(line) {
+  // Remove "# comment" outside of quotes; "#" must start the line or follow whitespace
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      if (i === 0 || /[\s[{,:-]/.test(line[i - 1])) quote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i).replace(/\s+$/, '');
+    }
+  }
+  return line.replace(/\s+$/, '');
+}
+
+function resolvePlain(text) {
+  const s = text.trim();
+  if (s === '' || s === '~' || /^null$/i.test(s)) return null;
+  if (/^(true|false)$/i.test(s)) return s.toLowerCase() === 'true';
+  if (/^[-+]?(0|[1-9][0-9]*)$/.test(s)) return Number(s);
+  if (/^0x[0-9a-fA-F]+$/.test(s)) return parseInt(s, 16);
+  if (/^0o[0-7]+$/.test(s)) return parseInt(s.slice(2), 8);
+  if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(s)) return Number(s);
+  if (/^[-+]?\.inf$/i.test(s)) return s.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.nan$/i.test(s)) return NaN;
+  return s;
+}
+
+function unescapeDouble(body, lineNo) {
+  try {
+    // YAML double-quoted escapes are a superset of JSON's; map the common extras first
+    return JSON.parse(`"${body.replace(/\\x([0-9a-fA-F]{2})/g, '\\u00$1').replace(/\\ /g, ' ').replace(/\\\//g, '/').replace(/\t/g, '\\t')}"`);
+  } catch (e) {
+    throw new YamlError(`invalid double-quoted string "${body}"`, lineNo);
+  }
+}
+
+// Parses one flow value ({...}, [...], quoted or plain) from `src` starting at `pos`
+function parseFlow(src, pos, lineNo) {
+  const skipWs = () => { while (pos < src.length && /\s/.test(src[pos])) pos++; };
+  function value(inFlow) {
+    skipWs();
+    const c = src[pos];
+    if (c === '{') {
+      pos++;
+      const obj = {};
+      skipWs();
+      if (src[pos] === '}') { pos++; return obj; }
+      while (pos < src.length) {
+        const k = value(true);
+        skipWs();
+        let v = null;
+        if (src[pos] === ':') { pos++; v = value(true); }
+        obj[String(k)] = v;
+        skipWs();
+        if (src[pos] === ',') { pos++; skipWs(); if (src[pos] === '}') { pos++; return obj; } continue; }
+        if (src[pos] === '}') { pos++; return obj; }
+        if (pos >= src.length) break;
+        throw new YamlError('expected "," or "}" in flow mapping', lineNo);
+      }
+      throw new YamlError('unterminated flow mapping', lineNo);
+    }
+    if (c === '[') {
+      pos++;
+      const arr = [];
+      skipWs();
+      if (src[pos] === ']') { pos++; return arr; }
+      while (pos < src.length) {
+        arr.push(value(true));
+        skipWs();
+        if (src[pos] === ',') { pos++; skipWs(); if (src[pos] === ']') { pos++; return arr; } continue; }
+        if (src[pos] === ']') { pos++; return arr; }
+        if (pos >= src.length) break;
+        throw new YamlError('expected "," or "]" in flow sequence', lineNo);
+      }
+      throw new YamlError('unterminated flow sequence', lineNo);
+    }
+    if (c === '"') {
+      let end = pos + 1;
+      while (end < src.length && src[end] !== '"') end += src[end] === '\\' ? 2 : 1;
+      if (end >= src.length) throw new YamlError('unterminated double-quoted string', lineNo);
+      const out = unescapeDouble(src.slice(pos + 1, end).replace(/\s*\n\s*/g, ' '), lineNo);
+      pos = end + 1;
+      return out;
+    }
+    if (c === "'") {
+      let end = pos + 1;
+      let out = '';
+      while (end < src.length) {
+        if (src[end] === "'" && src[end + 1] === "'") { out += "'"; end += 2; continue; }
+        if (src[end] === "'") break;
+        out += src[end++];
+      }
+      if (end >= src.length) throw new YamlError('unterminated single-quoted string', lineNo);
+      pos = end + 1;
+      return out.replace(/\s*\n\s*/g, ' ');
+    }
+    const start = pos;
+    while (pos < src.length) {
+      const ch = src[pos];
+      if (inFlow && (ch === ',' || ch === ']' || ch === '}')) break;
+      if (ch === ':' && (pos + 1 >= src.length || /[\s,\]}]/.test(src[pos + 1]))) break;
+      pos++;
+    }
+    return resolvePlain(src.slice(start, pos).replace(/\s*\n\s*/g, ' '));
+  }
+  const result = value(false);
+  return { value: result, pos };
+}
+
+function findMappingColon(text) {
+  // Index of the ": " (or trailing ":") that separates a key from its value, ignoring quoted keys
+  let i = 0;
+  if (text[0] === '"' || text[0] === "'") {
+    const q = text[0];
+    i = 1;
+    while (i < text.length) {
+      if (q === '"' && text[i] === '\\') { i += 2; continue; }
+      if (text[i] === q) {
+        if (q === "'" && text[i + 1] === "'") { i += 2; continue; }
+        break;
+      }
+      i++;
+    }
+    i++;
+  }
+  for (; i < text.length; i++) {
+    if (text[i] === ':' && (i + 1 === text.length || text[i + 1] === ' ')) return i;
+    if (text[i] === ' ' && text[i + 1] === '#') return -1;
+  }
+  return -1;
+}
+
+function parseKey(raw, lineNo) {
+  const k = raw.trim();
+  if (k.startsWith('"')) return unescapeDouble(k.slice(1, -1), lineNo);
+  if (k.startsWith("'")) return k.slice(1, -1).replace(/''/g, "'");
+  if (k.startsWith('?')) throw new YamlError('complex mapping keys are not supported', lineNo);
+  return k;
+}
+
+class Parser {
+  constructor(text) {
+    this.raw = text.replace(/\r\n?/g, '\n').replace(/^﻿/, '').split('\n');
+    this.lines = [];
+    let started = false;
+    for (let i = 0; i < this.raw.length; i++) {
+      const rawLine = this.raw[i];
+      if (/^(---|\.\.\.)(\s|$)/.test(rawLine)) {
+        if (started && rawLine.startsWith('---')) throw new YamlError('multiple documents are not supported', i + 1);
+        started = true;
+        const rest = stripComment(rawLine.slice(3)).trim();
+        if (rest) this.lines.push({ indent: 0, text: rest, no: i + 1, rawIndex: i });
+        continue;
+      }
+      if (/^\s*%/.test(rawLine) && !started) continue; // directives
+      const stripped = stripComment(rawLine);
+      if (!stripped.trim()) continue;
+      started = true;
+      if (/^\t/.test(rawLine)) throw new YamlError('tabs are not allowed for indentation', i + 1);
+      const indent = stripped.length - stripped.trimStart().length;
+      this.lines.push({ indent, text: stripped.trim(), no: i + 1, rawIndex: i });
+    }
+    this.i = 0;
+  }
+
+  peek() { return this.lines[this.i]; }
+
+  parseDocument() {
+    if (!this.lines.length) return null;
+    const value = this.parseBlock(this.lines[0].indent);
+    if (this.i < this.lines.length) {
+      throw new YamlError('unexpected content (check indentation)', this.lines[this.i].no);
+    }
+    return value;
+  }
+
+  parseBlock(indent) {
+    const line = this.peek();
+    if (!line || line.indent < indent) return null;
+    if (line.text === '-' || line.text.startsWith('- ')) return this.parseSequence(line.indent);
+    if (findMappingColon(line.text) !== -1) return this.parseMapping(line.indent);
+    // A bare (possibly multi-line) scalar or flow collection
+    return this.parseScalarLines(line.text, line.indent - 1, line);
+  }
+
+  checkUnsupported(text, lineNo) {
+    if (/^[&*!]/.test(text)) throw new YamlError('anchors, aliases and tags are not supported', lineNo);
+  }
+
+  parseInlineValue(text, parentIndent, line) {
+    this.checkUnsupported(text, line.no);
+    if (/^[|>]/.test(text)) return this.parseBlockScalar(text, parentIndent, line);
+    return this.parseScalarLines(text, parentIndent, line);
+  }
+
+  parseScalarLines(text, parentIndent, line) {
+    // Consumes the current line plus any continuation lines indented deeper than parentIndent
+    this.i++;
+    let src = text;
+    if (text[0] === '{' || text[0] === '[' || text[0] === '"' || text[0] === "'") {
+      // Flow collections and quoted scalars may continue on following lines
+      for (;;) {
+        try {
+          const { value, pos } = parseFlow(src, 0, line.no);
+          if (src.slice(pos).trim()) throw new YamlError(`unexpected text after value: ${src.slice(pos).trim()}`, line.no);
+          return value;
+        } catch (e) {
+          const next = this.peek();
+          if (!(e instanceof YamlError) || !/unterminated/.test(e.message) || !next || next.indent < parentIndent) throw e;
+          src += `\n${next.text}`;
+          this.i++;
+        }
+      }
+    }
+    while (this.peek() && this.peek().indent > parentIndent) {
+      const next = this.peek();
+      if (findMappingColon(next.text) !== -1 || next.text.startsWith('- ')) break;
+      src += ` ${next.text}`;
+      this.i++;
+    }
+    return resolvePlain(src);
+  }
+
+  parseBlockScalar(header, parentIndent, line) {
+    const m = /^([|>])([+-]?)(\d?)([+-]?)$/.exec(header);
+    if (!m) throw new YamlError(`invalid block scalar header "${header}"`, line.no);
+    const folded = m[1] === '>';
+    const chomp = m[2] || m[4];
+    // Block scalars keep blank lines and comments verbatim, so read from the raw text
+    const body = [];
+    let r = line.rawIndex + 1;
+    let contentIndent = m[3] ? parentIndent + 1 + Number(m[3]) : null;
+    for (; r < this.raw.length; r++) {
+      const rawLine = this.raw[r];
+      if (!rawLine.trim()) { body.push(''); continue; }
+      const ind = rawLine.length - rawLine.trimStart().length;
+      if (contentIndent === null) contentIndent = ind;
+      if (ind < contentIndent || ind <= parentIndent) break;
+      body.push(rawLine.slice(contentIndent));
+    }
+    while (this.i < this.lines.length && this.lines[this.i].rawIndex < r) this.i++;
+    // Trailing blank lines belong to chomping, not content
+    let trailing = 0;
+    while (body.length && body[body.length - 1] === '') { body.pop(); trailing++; }
+    let out;
+    if (folded) {
+      // Single line breaks fold into spaces; blank and more-indented lines keep their newlines
+      out = '';
+      for (let k = 0; k < body.length; k++) {
+        const cur = body[k];
+        const prev = body[k - 1];
+        if (k === 0) out = cur;
+        else if (cur === '') out += '\n';
+        else if (prev === '') out += cur;
+        else if (/^\s/.test(cur) || /^\s/.test(prev)) out += `\n${cur}`;
+        else out += ` ${cur}`;
+      }
+    } else {
+      out = body.join('\n');
+    }
+    if (chomp === '-') return out;
+    if (chomp === '+') return `${out}\n${'\n'.repeat(trailing)}`;
+    return body.length ? `${out}\n` : '';
+  }
+
+  parseMapping(indent) {
+    const obj = {};
+    while (this.peek() && this.peek().indent === indent) {
+      const line = this.peek();
+      if (line.text === '-' || line.text.startsWith('- ')) break;
+      const colon = findMappingColon(line.text);
+      if (colon === -1) throw new YamlError(`expected "key: value", got "${line.text}"`, line.no);
+      const keyText = line.text.slice(0, colon);
+      this.checkUnsupported(keyText, line.no);
+      const k = parseKey(keyText, line.no);
+      if (k === '<<') throw new YamlError('merge keys (<<) are not supported', line.no);
+      const rest = line.text.slice(colon + 1).trim();
+      if (rest) {
+        obj[k] = this.parseInlineValue(rest, indent, line);
+      } else {
+        this.i++;
+        const next = this.peek();
+        if (next && next.indent > indent) obj[k] = this.parseBlock(next.indent);
+        else if (next && next.indent === indent && (next.text === '-' || next.text.startsWith('- '))) obj[k] = this.parseSequence(indent);
+        else obj[k] = null;
+      }
+    }
+    return obj;
+  }
+
+  parseSequence(indent) {
+    const arr = [];
+    while (this.peek() && this.peek().indent === indent && (this.peek().text === '-' || this.peek().text.startsWith('- '))) {
+      const line = this.peek();
+      const rest = line.text === '-' ? '' : line.text.slice(2).trim();
+      if (!rest) {
+        this.i++;
+        const next = this.peek();
+        arr.push(next && next.indent > indent ? this.parseBlock(next.indent) : null);
+        continue;
+      }
+      // "- key: value" starts a mapping whose keys align with the text after "- "
+      const itemIndent = indent + (line.text.length - line.text.slice(1).trimStart().length);
+      if ((rest === '-' || rest.startsWith('- ') || findMappingColon(rest) !== -1) && !/^[[{"']/.test(rest)) {
+        this.lines[this.i] = { ...line, indent: itemIndent, text: rest };
+        arr.push(this.parseBlock(itemIndent));
+      } else {
+        arr.push(this.parseInlineValue(rest, indent, line));
+      }
+    }
+    return arr;
+  }
+}
+
+function parse(text) {
+  return new Parser(String(text)).parseDocument();
+}
+
+// ---------------------------------------------------------------------------
+// Writer
+// ---------------------------------------------------------------------------
+
+function needsQuotes(s) {
+  if (s === '') return true;
+  if (resolvePlain(s) !== s) return true; // would read back as null/bool/number
+  if (/^[\s]|[\s]$/.test(s)) return true;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(s)) return true;
+  if (/: |:$| #|[\n\r\t]/.test(s)) return true;
+  return false;
+}
+
+function scalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+  const s = String(value);
+  return needsQuotes(s) ? JSON.stringify(s) : s;
+}
+
+function blockString(s, indent) {
+  // Multi-line strings read better as literal blocks
+  if (!s.includes('\n') || /[\r\t]/.test(s) || /^ /.test(s) || / \n|\n /.test(s.replace(/\n+$/, ''))) return null;
+  const trailing = s.match(/\n*$/)[0].length;
+  const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+  const pad = ' '.repeat(indent);
+  const lines = s.replace(/\n$/, '').split('\n').map(l => (l ? pad + l : ''));
+  return `|${chomp}\n${lines.join('\n')}`;
+}
+
+function stringifyValue(value, indent) {
+  const pad = ' '.repeat(indent);
+  if (Array.isArray(value)) {
+    if (!value.length) return ' []';
+    return '\n' + value.map(item => {
+      if (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length) {
+        const inner = stringifyValue(item, indent + 2).replace(/^\n/, '');
+        return `${pad}- ${inner.slice(indent + 2)}`;
+      }
+      const v = stringifyValue(item, indent + 2);
+      return `${pad}-${v}`;
+    }).join('\n');
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (!keys.length) return ' {}';
+    return '\n' + keys.map(k => `${pad}${scalar(k)}:${stringifyValue(value[k], indent + 2)}`).join('\n');
+  }
+  if (typeof value === 'string') {
+    const block = blockString(value, indent);
+    if (block) return ` ${block}`;
+  }
+  return ` ${scalar(value)}`;
+}
+
+function stringify(value) {
+  if (value && typeof value === 'object') return `${stringifyValue(value, 0).replace(/^\n/, '')}\n`;
+  return `${scalar(value)}\n`;
+}
+
+module.exports = { parse, stringify, YamlError };
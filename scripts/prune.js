@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+/*
+Prune Postman assets of retired APIs: stale state entries and orphaned specs, collections, environments and
+mock servers.
+
+Inventories every REST/HTTP API stage in --regions (no inventory filters: any
+deployed stage counts as live) and maps it to a state key exactly as
+backfill.js does. Then:
+  - stale entry: a state entry with no live API stage. Its spec, collection,
+    environments and mock server are pruned unless a live entry still uses them (with the default
+    templates, all stages of a service share one spec and collection)
+  - orphan: a workspace spec, collection, environment or mock whose name follows the
+    naming templates (scripts/lib/naming.js) but that no state entry references
+    and no live API stage would be given
+Only domains seen in the inventory (or passed as --domain) are considered, so
+other teams' "[domain] ..." assets in a shared workspace are never touched.
+Entries recorded for a region outside --regions are out of scope: their API
+stage was never looked for. Entries without a recorded region (synced before
+spec_sync.js recorded it, or without --region) can't be told apart, so
+--delete/--archive refuses to prune them as stale unless --force is passed.
+
+Default is a report. --delete deletes, --archive <dir> first saves each asset
+(spec files, collection, environment, mock, state entry) as JSON under <dir> and then
+deletes it; both need --yes. Stale state entries are removed in the same run,
+once their assets are gone.
+
+Inputs (env/args):
+  env POSTMAN_API_KEY, POSTMAN_WORKSPACE_ID (required)
+  args --regions <r1,r2,...> (required; default: $AWS_REGION / $AWS_DEFAULT_REGION)
+  args --domain <domain> (default: "demo"; as passed to backfill.js / spec_sync.js)
+  args --api-type <rest|http|all> (default: all)
+  args --state-file <path|URI> (default: state/postman-ingestion-state.json)
+  args --match <glob> (optional; only prune state keys matching, e.g. "payments:*")
+  args --delete | --archive <dir> (optional; without them nothing is changed)
+  args --yes (required with --delete / --archive)
+  args --force (optional; allow pruning half or more of the state entries in scope, and stale entries
+       without a recorded region)
+  args --report-file <path> (optional; write the candidates and results as JSON)
+  args --config <path> (default: config/environments.json; naming templates and environments)
+
+Exit codes: 0 ok, 1 error or failed deletions, 2 usage error / missing --yes / safety stop
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { pmFetch, setRetryOptions } = require('./lib/postman_client');
+const { listWorkspace } = require('./lib/workspace_index');
+const { DEFAULT_TEMPLATES, resolveTemplates, renderName, namePattern } = require('./lib/naming');
+const { openStateStore, DEFAULT_STATE_FILE } = require('./lib/state_store');
+const {
+  stateKey,
+  getRemoteSpecFiles,
+  loadEnvironmentConfig,
+  getServiceEnvironments,
+  configEnvironmentName,
+} = require('./spec_sync');
+const { collectTargets } = require('./backfill');
+
+// Deletion order: mocks before the collections they serve, collections and environments before the specs they were generated from
+const KINDS = ['mocks', 'collections', 'environments', 'specs'];
+const KIND_LABEL = { specs: 'spec', collections: 'collection', environments: 'environment', mocks: 'mock server' };
+const ID_KEY = { specs: 'id', collections: 'uid', environments: 'uid', mocks: 'id' };
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const k = argv[i];
+    if (k.startsWith('--')) {
+      const key = k.replace(/^--/, '');
+      const val = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+      args[key] = val;
+    }
+  }
+  return args;
+}
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing required env: ${name}`);
+  return v;
+}
+
+function usageError(message) {
+  const err = new Error(message);
+  err.exitCode = 2;
+  return err;
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function ensureDirFor(filePath) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function safeFileName(name) {
+  return String(name).replace(/[^\w.@$-]+/g, '_');
+}
+
+function entryAssets(entry) {
+  const assets = [];
+  if (entry.specId) assets.push({ kind: 'specs', id: entry.specId });
+  if (entry.collectionUid) assets.push({ kind: 'collections', id: entry.collectionUid });
+  if (entry.mockId) assets.push({ kind: 'mocks', id: entry.mockId });
+  for (const [env, uid] of Object.entries(entry.environments || {})) assets.push({ kind: 'environments', id: uid, env });
+  return assets;
+}
+
+// Name patterns per asset kind: global/default templates plus per-service overrides
+function namingPatterns(config) {
+  const templates = { specs: new Set(), collections: new Set(), environments: new Set(), mocks: new Set() };
+  const sources = [DEFAULT_TEMPLATES, config?.naming || {}, ...Object.values(config?.services || {}).map(s => s.naming || {})];
+  for (const source of sources) {
+    if (source.spec) templates.specs.add(source.spec);
+    if (source.collection) templates.collections.add(source.collection);
+    if (source.environment) templates.environments.add(source.environment);
+    if (source.configEnvironment) templates.environments.add(source.configEnvironment);
+    if (source.mock) templates.mocks.add(source.mock);
+  }
+  return Object.fromEntries(Object.entries(templates).map(([kind, set]) => [kind, [...set].map(namePattern)]));
+}
+
+// Names spec_sync / environments_upsert would give the assets of a live API stage
+function expectedNames(target, config) {
+  const templates = resolveTemplates({ config, service: target.service });
+  const vars = { domain: target.domain, service: target.service.replace(/\s+/g, '_'), stage: target.stage, region: target.region, env: '' };
+  // environments_upsert.js renders the service name as given, spec_sync.js sanitized
+  const envNames = [renderName(templates.environment, vars), renderName(templates.environment, { ...vars, service: target.service })];
+  for (const env of getServiceEnvironments(config, target.service)) {
+    envNames.push(configEnvironmentName(templates.configEnvironment, target.domain, target.service, env));
+  }
+  // spec_sync.js --mock: the mock environment
+  envNames.push(configEnvironmentName(templates.configEnvironment, target.domain, target.service, { name: 'mock', stage: target.stage, region: target.region }));
+  return {
+    specs: [renderName(templates.spec, vars), renderName(templates.spec, { ...vars, region: '' })],
+    collections: [renderName(templates.collection, vars), renderName(templates.collection, { ...vars, region: '' })],
+    environments: envNames,
+    mocks: [renderName(templates.mock, vars), renderName(templates.mock, { ...vars, region: '' })],
+  };
+}
+
+async function fetchJson(pathname, apiKey) {
+  const { data } = await pmFetch(pathname, { headers: { 'x-api-key': apiKey } });
+  return data;
+}
+
+async function archiveAsset(asset, dir, apiKey) {
+  const enc = encodeURIComponent(asset.id);
+  let content;
+  if (asset.kind === 'specs') {
+    content = { spec: await fetchJson(`/specs/${enc}`, apiKey), files: Object.fromEntries(await getRemoteSpecFiles(asset.id, apiKey)) };
+  } else {
+    content = await fetchJson(`/${asset.kind}/${enc}`, apiKey);
+  }
+  const file = path.join(dir, asset.kind, `${safeFileName(asset.id)}.json`);
+  ensureDirFor(file);
+  fs.writeFileSync(file, JSON.stringify({ name: asset.name, archivedAt: new Date().toISOString(), ...content }, null, 2));
+  return file;
+}
+
+async function deleteAsset(asset, apiKey) {
+  try {
+    await pmFetch(`/${asset.kind}/${encodeURIComponent(asset.id)}`, { method: 'DELETE', headers: { 'x-api-key': apiKey } });
+    return 'deleted';
+  } catch (err) {
+    if (err.status === 404) return 'already gone';
+    throw err;
+  }
+}
+
+function printCandidates(report) {
+  console.log('');
+  if (!report.staleEntries.length && !report.orphans.length) {
+    console.log('Nothing to prune.');
+    return;
+  }
+  for (const stale of report.staleEntries) {
+    console.log(`Stale state entry ${stale.key} (no live API stage${stale.region ? ` in ${stale.region}` : '; region not recorded'})`);
+    for (const a of stale.assets) {
+      console.log(`    ${KIND_LABEL[a.kind]} ${a.name || '?'} (${a.id})${a.keep ? ` - kept: ${a.keep}` : ''}`);
+    }
+  }
+  if (report.orphans.length) {
+    console.log('Orphaned assets (naming convention match, no state entry, no live API stage):');
+    for (const a of report.orphans) console.log(`    ${KIND_LABEL[a.kind]} ${a.name} (${a.id})`);
+  }
+}
+
+(async () => {
+  try {
+    const args = parseArgs(process.argv);
+    const regionsArg = args.regions || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION;
+    const apiType = String(args['api-type'] || 'all').toLowerCase();
+    const archiveDir = args.archive && args.archive !== true ? args.archive : null;
+    if (!regionsArg || regionsArg === true || !['rest', 'http', 'all'].includes(apiType) || args.archive === true) {
+      throw usageError('Usage: node scripts/prune.js --regions us-east-1,eu-west-1 [--domain <domain>] [--api-type rest|http|all] [--state-file path] [--match glob] [--delete | --archive <dir>] [--yes] [--force] [--report-file path]');
+    }
+    const apiKey = requireEnv('POSTMAN_API_KEY');
+    const workspaceId = requireEnv('POSTMAN_WORKSPACE_ID');
+    setRetryOptions({ maxRetries: args['max-retries'] });
+    const regions = String(regionsArg).split(',').map(r => r.trim()).filter(Boolean);
+    const config = loadEnvironmentConfig(args.config || 'config/environments.json');
+    const pattern = args.match && args.match !== true ? globToRegExp(args.match) : null;
+    const store = openStateStore(args['state-file'] && args['state-file'] !== true ? args['state-file'] : DEFAULT_STATE_FILE);
+
+    // Everything deployed is live, whatever the inventory filters say
+    const { targets } = collectTargets({ regions, apiType, filters: {}, domain: args.domain });
+    const live = new Map(targets.map(t => [stateKey(t.domain, t.service, t.stage), t]));
+    const domains = new Set([...targets.map(t => t.domain), args.domain || 'demo']);
+
+    const state = await store.read();
+    const inDomains = Object.keys(state.entries).filter(k => domains.has(k.split(':')[0]) && (!pattern || pattern.test(k)));
+    const otherRegions = inDomains.filter(k => state.entries[k].region && !regions.includes(state.entries[k].region));
+    const inScope = inDomains.filter(k => !otherRegions.includes(k));
+    const staleKeys = inScope.filter(k => !live.has(k));
+    const unknownRegion = staleKeys.filter(k => !state.entries[k].region);
+
+    // UIDs still used by any entry that stays, and names live API stages would get
+    const keepIds = new Set();
+    for (const [k, entry] of Object.entries(state.entries)) {
+      if (!staleKeys.includes(k)) for (const a of entryAssets(entry)) keepIds.add(a.id);
+    }
+    const keepNames = { specs: new Set(), collections: new Set(), environments: new Set(), mocks: new Set() };
+    for (const target of live.values()) {
+      for (const [kind, names] of Object.entries(expectedNames(target, config))) names.forEach(n => keepNames[kind].add(n));
+    }
+
+    const workspace = {};
+    for (const kind of KINDS) {
+      workspace[kind] = new Map((await listWorkspace(kind, workspaceId, apiKey)).map(item => [item[ID_KEY[kind]] || item.id, item]));
+    }
+
+    const report = { checkedAt: new Date().toISOString(), regions, liveStages: live.size, staleEntries: [], orphans: [] };
+    const claimed = new Set();
+    for (const k of staleKeys) {
+      const assets = entryAssets(state.entries[k]).map((a) => {
+        claimed.add(a.id);
+        const item = workspace[a.kind].get(a.id);
+        let keep = null;
+        if (keepIds.has(a.id)) keep = 'still used by a live entry';
+        else if (!item) keep = 'not in workspace';
+        else if (keepNames[a.kind].has(item.name)) keep = 'name belongs to a live API stage';
+        return { ...a, name: item?.name || null, keep };
+      });
+      report.staleEntries.push({ key: k, region: state.entries[k].region || null, assets });
+    }
+    const patterns = namingPatterns(config);
+    const stateIds = new Set(Object.values(state.entries).flatMap(e => entryAssets(e).map(a => a.id)));
+    for (const kind of KINDS) {
+      for (const [id, item] of workspace[kind]) {
+        if (claimed.has(id) || stateIds.has(id) || keepNames[kind].has(item.name)) continue;
+        const match = patterns[kind].map(re => item.name?.match(re)).find(Boolean);
+        if (!match || !domains.has(match.groups?.domain)) continue;
+        if (pattern && match.groups?.service && !pattern.test(`${match.groups.domain}:${match.groups.service}:`) && !pattern.test(item.name)) continue;
+        report.orphans.push({ kind, id, name: item.name });
+      }
+    }
+
+    console.log(`${live.size} live API stage(s) in ${regions.join(', ')}; ${inScope.length} state entr${inScope.length === 1 ? 'y' : 'ies'} in scope (domains: ${[...domains].join(', ')})`);
+    if (otherRegions.length) console.log(`${otherRegions.length} state entr${otherRegions.length === 1 ? 'y' : 'ies'} recorded for other regions skipped (${[...new Set(otherRegions.map(k => state.entries[k].region))].join(', ')})`);
+    printCandidates(report);
+
+    const toPrune = [
+      ...report.staleEntries.flatMap(s => s.assets.filter(a => !a.keep).map(a => ({ ...a, entry: s.key }))),
+      ...report.orphans,
+    ].sort((a, b) => KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind));
+    const action = archiveDir ? 'archive' : (args.delete ? 'delete' : null);
+    const writeReport = () => {
+      if (!args['report-file']) return;
+      ensureDirFor(args['report-file']);
+      fs.writeFileSync(args['report-file'], JSON.stringify(report, null, 2));
+      console.log(`Report written to ${args['report-file']}`);
+    };
+
+    if (!action) {
+      if (toPrune.length || report.staleEntries.length) console.log(`\n${toPrune.length} asset(s) and ${report.staleEntries.length} state entr${report.staleEntries.length === 1 ? 'y' : 'ies'} would be pruned; pass --delete or --archive <dir> with --yes to prune them`);
+      writeReport();
+      return;
+    }
+    if (!toPrune.length && !report.staleEntries.length) {
+      writeReport();
+      return;
+    }
+    // A wrong --domain makes every entry look stale; don't let that wipe the workspace
+    if (!args.force && staleKeys.length > 1 && staleKeys.length >= inScope.length / 2) {
+      throw usageError(`${staleKeys.length} of ${inScope.length} state entries look stale; check --regions/--domain, or pass --force if that is expected`);
+    }
+    // Without a recorded region, an entry deployed in a region that wasn't inventoried looks stale too
+    if (!args.force && unknownRegion.length) {
+      throw usageError(`${unknownRegion.length} stale state entr${unknownRegion.length === 1 ? 'y has' : 'ies have'} no recorded region (${unknownRegion.join(', ')}); re-sync them with --region, or pass --force if their APIs were only deployed in ${regions.join(', ')}`);
+    }
+    if (!args.yes) {
+      throw usageError(`Pass --yes to ${action} ${toPrune.length} asset(s) and remove ${report.staleEntries.length} state entr${report.staleEntries.length === 1 ? 'y' : 'ies'}`);
+    }
+
+    report.results = [];
+    const failedEntries = new Set();
+    for (const asset of toPrune) {
+      const label = `${KIND_LABEL[asset.kind]} ${asset.name} (${asset.id})`;
+      try {
+        const archived = archiveDir ? await archiveAsset(asset, archiveDir, apiKey) : null;
+        const result = await deleteAsset(asset, apiKey);
+        console.log(`✓ ${label}: ${result}${archived ? `, archived to ${archived}` : ''}`);
+        report.results.push({ kind: asset.kind, id: asset.id, name: asset.name, result, archived });
+      } catch (err) {
+        console.error(`✗ ${label}: ${err.message.split('\n')[0]}`);
+        report.results.push({ kind: asset.kind, id: asset.id, name: asset.name, result: 'failed', error: err.message.split('\n')[0] });
+        if (asset.entry) failedEntries.add(asset.entry);
+      }
+    }
+
+    // Entries whose assets could not all be pruned stay, so a re-run can finish the job
+    const removable = report.staleEntries.map(s => s.key).filter(k => !failedEntries.has(k));
+    if (archiveDir) {
+      for (const k of removable) {
+        const file = path.join(archiveDir, 'state', `${safeFileName(k)}.json`);
+        ensureDirFor(file);
+        fs.writeFileSync(file, JSON.stringify({ key: k, entry: state.entries[k] }, null, 2));
+      }
+    }
+    if (removable.length) {
+      await store.update((fresh) => {
+        for (const k of removable) delete fresh.entries[k];
+      });
+      console.log(`Removed ${removable.length} state entr${removable.length === 1 ? 'y' : 'ies'}: ${removable.join(', ')}`);
+    }
+    writeReport();
+    if (report.results.some(r => r.result === 'failed')) process.exit(1);
+  } catch (err) {
+    console.error(err.exitCode ? err.message : (err.stack || String(err)));
+    process.exit(err.exitCode || 1);
+  }
+})();
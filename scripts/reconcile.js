@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/*
+Drift reconciliation: compare the state with the Postman workspace (and, optionally, with fresh exports).
+
+For every state entry (domain:service:stage):
+  - the spec (specId) exists, still has the name it was synced with, and its Spec Hub
+    content still hashes to lastSpecSha (otherwise it was edited in Postman)
+  - the collection (collectionUid) exists, keeps its name and is still linked to the spec
+  - every environment UID exists and has the name the naming template gives it
+  - the mock server (mockId, spec_sync.js --mock) exists
+With --regions, the APIs are also inventoried and exported as in backfill.js, so the report adds:
+  - spec-outdated: the deployed API no longer matches lastSpecSha (a deployment was missed)
+  - not-in-inventory: the entry has no API stage in the inventoried regions (see prune)
+  - untracked: an inventoried API stage with no state entry
+
+This is the "scheduled reconciliation" job from docs/POSTMAN_OAS_INGESTION_PROPOSAL.md.
+
+Inputs (env/args):
+  env POSTMAN_API_KEY (required), POSTMAN_WORKSPACE_ID (required with --repair)
+  args --state-file <path|URI> (default: state/postman-ingestion-state.json)
+  args --match <glob> (optional; only check matching keys, e.g. "payments:*")
+  args --regions <r1,r2,...> (optional; inventory + export for content and coverage checks)
+  args --domain, --api-type, --output-dir, --skip-export, --config and the inventory filters (as backfill.js)
+  args --report-file <path> (optional; write the drift report as JSON)
+  args --fail-on-drift (optional; exit 3 when drift remains)
+  args --repair (optional; re-run spec_sync for drifted and untracked entries; needs --regions)
+  args --dry-run (optional; with --repair, print the repair plan only)
+  args --bundle, --file-path, --proxy-config, --overlay (optional; as passed to spec_sync.js, so the fresh export
+       hashes like the synced spec)
+  args --max-retries and the naming / collection option flags are passed to spec_sync.js on --repair
+
+Repairs (state fields are reset first, then the sync runs with --force):
+  spec-missing         forget specId/versions; a new spec and collection are created (old collection replaced)
+  spec-renamed         renamed back to the template name
+  spec-edited          Spec Hub content overwritten with the exported spec
+  collection-missing   a new collection is generated
+  collection-unlinked  the collection is regenerated from the spec (like --regenerate-collection)
+  collection-renamed   renamed back to the template name
+  environment-missing  recreated from config
+  environment-renamed  renamed back
+  mock-missing         forget mockId/mockUrl; a new mock server is created when mocks are enabled
+  not-in-inventory     never repaired; the API stage may have been deleted on purpose
+
+Exit codes: 0 (no drift, or all repaired), 1 (error or failed repair), 3 (--fail-on-drift and drift remains)
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { pmFetch, setRetryOptions } = require('./lib/postman_client');
+const { parseSpecText, referencedFiles } = require('./lib/spec_loader');
+const { resolveTemplates } = require('./lib/naming');
+const { resolveInventoryFilters } = require('./lib/api_filters');
+const { openStateStore, DEFAULT_STATE_FILE } = require('./lib/state_store');
+const {
+  syncSpec,
+  prepareSpec,
+  stateKey,
+  computeSpecSha,
+  getRemoteSpecFiles,
+  loadEnvironmentConfig,
+  getServiceEnvironments,
+  configEnvironmentName,
+} = require('./spec_sync');
+const { collectTargets, exportTarget, targetLabel } = require('./backfill');
+
+// State fields to forget before re-syncing, and whether the collection has to be regenerated
+const REPAIRS = {
+  'incomplete': {},
+  'spec-missing': { reset: ['specId', 'specName', 'lastSpecSha', 'versions'], regenerate: true },
+  'spec-renamed': { reset: ['specName'] },
+  'spec-edited': {},
+  'spec-outdated': {},
+  'collection-missing': { reset: ['collectionUid', 'collectionName', 'collectionOptions'] },
+  'collection-unlinked': { regenerate: true },
+  'collection-renamed': { reset: ['collectionName'] },
+  'environment-missing': {},
+  'environment-renamed': {},
+  'mock-missing': { reset: ['mockId', 'mockUrl'] },
+  'untracked': {},
+};
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const k = argv[i];
+    if (k.startsWith('--')) {
+      const key = k.replace(/^--/, '');
+      const val = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+      args[key] = val;
+    }
+  }
+  return args;
+}
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing required env: ${name}`);
+  return v;
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function ensureDirFor(filePath) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+async function fetchOrNull(pathname, apiKey) {
+  try {
+    const { data } = await pmFetch(pathname, { headers: { 'x-api-key': apiKey } });
+    return data;
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+async function remoteSpecSha(specId, apiKey) {
+  // Same canonical hash spec_sync stores as lastSpecSha: one document, or { files } for split specs
+  const contents = await getRemoteSpecFiles(specId, apiKey);
+  if (!contents.size) return null;
+  const parsed = [...contents].map(([filePath, content]) => [filePath, typeof content === 'string' ? parseSpecText(content, filePath) : content]);
+  // spec_sync leaves files a split spec no longer references in Spec Hub; they were not part of the synced hash
+  const root = parsed.find(([, doc]) => doc?.openapi || doc?.swagger)?.[0];
+  const used = root ? referencedFiles(new Map(parsed), root) : null;
+  const docs = used ? parsed.filter(([filePath]) => used.has(filePath)) : parsed;
+  return docs.length > 1 ? computeSpecSha({ files: Object.fromEntries(docs) }) : computeSpecSha(docs[0][1]);
+}
+
+async function checkEntry(entryKey, entry, { apiKey, envConfig, fresh }) {
+  const drift = [];
+  const add = (kind, detail, extra) => drift.push({ kind, detail, ...extra });
+  const [domain, service] = entryKey.split(':');
+
+  const missing = ['specId', 'collectionUid'].filter(f => !entry[f]);
+  if (missing.length) add('incomplete', `no ${missing.join(' or ')} recorded (interrupted sync?)`);
+
+  let specExists = false;
+  if (entry.specId) {
+    const data = await fetchOrNull(`/specs/${encodeURIComponent(entry.specId)}`, apiKey);
+    const spec = data?.spec || data;
+    if (!spec) {
+      add('spec-missing', `spec ${entry.specId} no longer exists`);
+    } else {
+      specExists = true;
+      if (entry.specName && spec.name && spec.name !== entry.specName) {
+        add('spec-renamed', `spec ${entry.specId} is named "${spec.name}", expected "${entry.specName}"`);
+      }
+      const sha = await remoteSpecSha(entry.specId, apiKey);
+      if (sha && entry.lastSpecSha && sha !== entry.lastSpecSha) {
+        add('spec-edited', `Spec Hub content (sha256 ${sha.slice(0, 12)}) differs from the last synced content (${entry.lastSpecSha.slice(0, 12)})`);
+      }
+    }
+  }
+
+  if (entry.collectionUid) {
+    const data = await fetchOrNull(`/collections/${encodeURIComponent(entry.collectionUid)}`, apiKey);
+    if (!data) {
+      add('collection-missing', `collection ${entry.collectionUid} no longer exists`);
+    } else {
+      const name = data.collection?.info?.name;
+      if (entry.collectionName && name && name !== entry.collectionName) {
+        add('collection-renamed', `collection ${entry.collectionUid} is named "${name}", expected "${entry.collectionName}"`);
+      }
+      if (specExists) {
+        // Not getSpecCollections: it treats errors as "no collections", which would report false drift
+        const linkedData = await fetchOrNull(`/specs/${encodeURIComponent(entry.specId)}/collections`, apiKey);
+        const linked = Array.isArray(linkedData?.collections) ? linkedData.collections : (Array.isArray(linkedData) ? linkedData : []);
+        const uid = entry.collectionUid;
+        if (!linked.some(c => c.uid === uid || c.id === uid || (c.id && uid.endsWith(`-${c.id}`)))) {
+          add('collection-unlinked', `collection ${uid} is not linked to spec ${entry.specId}`);
+        }
+      }
+    }
+  }
+
+  const configured = new Map(getServiceEnvironments(envConfig, service).map(env => [env.name, env]));
+  const template = resolveTemplates({ config: envConfig, service }).configEnvironment;
+  for (const [envName, uid] of Object.entries(entry.environments || {})) {
+    const data = await fetchOrNull(`/environments/${encodeURIComponent(uid)}`, apiKey);
+    if (!data) {
+      add('environment-missing', `environment ${envName} (${uid}) no longer exists`, { envName });
+      continue;
+    }
+    const env = configured.get(envName);
+    const name = data.environment?.name;
+    const expected = env ? configEnvironmentName(template, domain, service, env) : null;
+    if (expected && name && name !== expected) {
+      add('environment-renamed', `environment ${envName} (${uid}) is named "${name}", expected "${expected}"`);
+    }
+  }
+
+  if (entry.mockId && !await fetchOrNull(`/mocks/${encodeURIComponent(entry.mockId)}`, apiKey)) {
+    add('mock-missing', `mock server ${entry.mockId} no longer exists`);
+  }
+
+  if (fresh?.specSha && entry.lastSpecSha && fresh.specSha !== entry.lastSpecSha) {
+    add('spec-outdated', `deployed API (sha256 ${fresh.specSha.slice(0, 12)}) differs from the last synced spec (${entry.lastSpecSha.slice(0, 12)})`);
+  }
+  return drift;
+}
+
+async function repairEntry(item, { args, store, stateFile }) {
+  const { key: entryKey, target, file, drift } = item;
+  const kinds = drift.map(d => d.kind);
+  const reset = [...new Set(kinds.flatMap(kind => REPAIRS[kind]?.reset || []))];
+  const missingEnvs = drift.filter(d => d.kind === 'environment-missing').map(d => d.envName);
+  const regenerate = kinds.some(kind => REPAIRS[kind]?.regenerate);
+
+  console.log(`\n=== Repairing ${entryKey} (${kinds.join(', ')}) from ${targetLabel(target)} ===`);
+  if (reset.length || missingEnvs.length) {
+    const fields = [...reset, ...missingEnvs.map(name => `environments.${name}`)];
+    if (args['dry-run']) {
+      console.log(`Would reset state fields: ${fields.join(', ')}`);
+    } else {
+      await store.update((state) => {
+        const entry = state.entries[entryKey];
+        if (!entry) return;
+        for (const field of reset) delete entry[field];
+        for (const name of missingEnvs) delete entry.environments?.[name];
+      });
+      console.log(`Reset state fields: ${fields.join(', ')}`);
+    }
+  }
+  return syncSpec({
+    ...args,
+    domain: target.domain,
+    service: target.service,
+    stage: target.stage,
+    region: target.region,
+    openapi: file,
+    'state-file': stateFile,
+    force: kinds.includes('untracked') ? args.force : true,
+    'regenerate-collection': regenerate || args['regenerate-collection'],
+  }, { store });
+}
+
+function printReport(report) {
+  console.log('');
+  for (const item of report.entries) {
+    if (!item.drift.length) {
+      console.log(`✓ ${item.key}`);
+      continue;
+    }
+    console.log(`✗ ${item.key}${item.target ? ` (${item.target})` : ''}`);
+    for (const d of item.drift) console.log(`    ${d.kind}: ${d.detail}`);
+    if (item.repair) console.log(`    repair: ${item.repair.result}${item.repair.error ? ` - ${item.repair.error}` : ''}`);
+  }
+  const counts = {};
+  for (const item of report.entries) for (const d of item.drift) counts[d.kind] = (counts[d.kind] || 0) + 1;
+  const drifted = report.entries.filter(item => item.drift.length && item.drift.some(d => d.kind !== 'untracked')).length;
+  const untracked = report.entries.filter(item => item.drift.some(d => d.kind === 'untracked')).length;
+  console.log('');
+  console.log(`Drift summary: ${drifted} of ${report.checked} state entr${report.checked === 1 ? 'y' : 'ies'} drifted`
+    + `${untracked ? `, ${untracked} untracked API stage(s)` : ''}`);
+  for (const [kind, n] of Object.entries(counts)) console.log(`  ${kind}: ${n}`);
+}
+
+(async () => {
+  try {
+    const args = parseArgs(process.argv);
+    const apiKey = requireEnv('POSTMAN_API_KEY');
+    setRetryOptions({ maxRetries: args['max-retries'] });
+    const stateFile = args['state-file'] && args['state-file'] !== true ? args['state-file'] : DEFAULT_STATE_FILE;
+    const apiType = String(args['api-type'] || 'all').toLowerCase();
+    const outputDir = args['output-dir'] || 'openapi';
+    const pattern = args.match && args.match !== true ? globToRegExp(args.match) : null;
+
+    if (args.repair && (!args.regions || args.regions === true)) {
+      console.error('Usage: --repair re-syncs from fresh exports and needs --regions r1,r2 (plus the same --domain / filters used by backfill.js)');
+      process.exit(2);
+    }
+
+    const store = openStateStore(stateFile);
+    const state = await store.read();
+    const envConfig = loadEnvironmentConfig(args.config || 'config/environments.json');
+
+    // Optional inventory + export: key -> { target, file, specSha }
+    const fresh = new Map();
+    const exportErrors = [];
+    if (args.regions && args.regions !== true) {
+      const regions = String(args.regions).split(',').map(r => r.trim()).filter(Boolean);
+      const filters = resolveInventoryFilters({ config: envConfig, args });
+      const { targets } = collectTargets({ regions, apiType, filters, domain: args.domain });
+      for (const target of targets) {
+        const entryKey = stateKey(target.domain, target.service, target.stage);
+        if (fresh.has(entryKey)) continue; // same service/stage in another region: first wins, as in backfill
+        try {
+          const file = exportTarget(target, outputDir, Boolean(args['skip-export']));
+          // Same inputs as the sync --repair runs (it gets ...args), or every such entry would look outdated
+          const { specSha } = prepareSpec({
+            openapiPath: file,
+            filePath: typeof args['file-path'] === 'string' ? args['file-path'] : undefined,
+            bundle: args.bundle,
+            service: target.service,
+            envConfig,
+            proxyConfig: typeof args['proxy-config'] === 'string' ? args['proxy-config'] : undefined,
+            overlay: args.overlay,
+            workspaceId: process.env.POSTMAN_WORKSPACE_ID,
+            log: () => {},
+          });
+          fresh.set(entryKey, { target, file, specSha });
+        } catch (err) {
+          exportErrors.push({ target: targetLabel(target), error: err.message });
+          fresh.set(entryKey, { target, file: null, specSha: null });
+        }
+      }
+    }
+
+    const keys = Object.keys(state.entries).filter(k => !pattern || pattern.test(k)).sort();
+    console.log(`Reconciling ${keys.length} state entr${keys.length === 1 ? 'y' : 'ies'} from ${store.location}${fresh.size ? ` against ${fresh.size} exported API stage(s)` : ''}...`);
+    const report = { checkedAt: new Date().toISOString(), stateFile: store.location, checked: keys.length, entries: [], exportErrors };
+    for (const entryKey of keys) {
+      const entry = state.entries[entryKey];
+      const match = fresh.get(entryKey);
+      const drift = await checkEntry(entryKey, entry, { apiKey, envConfig, fresh: match });
+      if (fresh.size && !match) drift.push({ kind: 'not-in-inventory', detail: 'no API stage in the inventoried regions maps to this entry' });
+      report.entries.push({ key: entryKey, target: match ? targetLabel(match.target) : null, drift, file: match?.file || null, targetInfo: match?.target });
+    }
+    for (const [entryKey, match] of fresh) {
+      if (state.entries[entryKey] || (pattern && !pattern.test(entryKey))) continue;
+      report.entries.push({
+        key: entryKey,
+        target: targetLabel(match.target),
+        drift: [{ kind: 'untracked', detail: 'API stage has no state entry (not ingested yet)' }],
+        file: match.file,
+        targetInfo: match.target,
+      });
+    }
+
+    if (args.repair) {
+      for (const item of report.entries) {
+        const repairable = item.drift.filter(d => REPAIRS[d.kind]);
+        if (!repairable.length) continue;
+        if (!item.file) {
+          item.repair = { result: 'skipped', error: 'no exported spec for this entry' };
+          continue;
+        }
+        try {
+          const outcome = await repairEntry({ key: item.key, target: item.targetInfo, file: item.file, drift: repairable }, { args, store, stateFile });
+          item.repair = { result: outcome.result === 'planned' ? 'planned' : 'repaired', sync: outcome.result };
+        } catch (err) {
+          item.repair = { result: 'failed', error: err.message.split('\n')[0] };
+          console.error(`Repair of ${item.key} failed: ${err.message}`);
+        }
+      }
+    }
+
+    printReport(report);
+    for (const e of exportErrors) console.log(`  export failed: ${e.target}: ${e.error}`);
+    if (args['report-file']) {
+      ensureDirFor(args['report-file']);
+      const json = { ...report, entries: report.entries.map(({ targetInfo, ...item }) => item) };
+      fs.writeFileSync(args['report-file'], JSON.stringify(json, null, 2));
+      console.log(`Report written to ${args['report-file']}`);
+    }
+
+    if (report.entries.some(item => item.repair?.result === 'failed') || exportErrors.length) process.exit(1);
+    const remaining = report.entries.filter(item => item.drift.length && item.repair?.result !== 'repaired');
+    if (args['fail-on-drift'] && remaining.length) process.exit(3);
+  } catch (err) {
+    console.error(err.stack || String(err));
+    process.exit(1);
+  }
+})();
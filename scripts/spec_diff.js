@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+/*
+Breaking-change detection between two OpenAPI 3.x documents.
+
+Compares a previous spec (current Spec Hub file or an archived copy) with the
+new one produced by transformSpecForPostman and classifies every change as
+breaking or non-breaking from a consumer's point of view.
+
+Breaking:
+  - operation or response status code removed
+  - new required parameter, or an optional parameter made required
+  - request body made required, new required request property
+  - parameter/property type changed
+  - enum narrowed (values removed)
+  - response property removed or no longer required
+  - request/response media type removed
+  - oneOf/anyOf branch removed, or oneOf/anyOf added to or dropped from a schema
+    (allOf members are merged first, so their properties are compared like any other)
+
+Non-breaking: everything else that changed (added operations, optional params,
+new response properties, widened enums, removed optional inputs, ...).
+
+Usage (standalone):
+  node scripts/spec_diff.js --base <previous.json> --head <new.json> [--format text|json] [--fail-on-breaking]
+  (JSON or YAML; specs split across files with relative $refs are bundled first)
+
+Also used by spec_sync.js (--fail-on-breaking, --previous-spec, --diff-format).
+*/
+
+const { loadLocalSpec, bundleSpecFiles } = require('./lib/spec_loader');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'trace'];
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const k = argv[i];
+    if (k.startsWith('--')) {
+      const key = k.replace(/^--/, '');
+      const val = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+      args[key] = val;
+    }
+  }
+  return args;
+}
+
+function resolveRef(spec, node, seen = new Set()) {
+  // Follow local $refs (#/components/...) until a concrete node is reached
+  let current = node;
+  while (current && typeof current.$ref === 'string' && current.$ref.startsWith('#/')) {
+    if (seen.has(current.$ref)) return {};
+    seen.add(current.$ref);
+    const parts = current.$ref.slice(2).split('/').map(p => p.replace(/~1/g, '/').replace(/~0/g, '~'));
+    current = parts.reduce((acc, p) => (acc == null ? acc : acc[p]), spec);
+  }
+  return current || {};
+}
+
+function collectOperations(spec) {
+  const ops = new Map();
+  for (const [p, pathItem] of Object.entries(spec?.paths || {})) {
+    const item = resolveRef(spec, pathItem);
+    for (const method of HTTP_METHODS) {
+      if (!item[method]) continue;
+      ops.set(`${method.toUpperCase()} ${p}`, {
+        operation: resolveRef(spec, item[method]),
+        pathParameters: item.parameters || [],
+      });
+    }
+  }
+  return ops;
+}
+
+function collectParameters(spec, op) {
+  // Operation-level parameters override path-level ones with the same in+name
+  const params = new Map();
+  for (const raw of [...op.pathParameters, ...(op.operation.parameters || [])]) {
+    const param = resolveRef(spec, raw);
+    if (!param.name) continue;
+    params.set(`${param.in}:${param.name}`, param);
+  }
+  return params;
+}
+
+// allOf members merged into one schema (properties and required lists combined), so a property
+// moved into or added to a member is compared like one declared inline
+function mergeAllOf(spec, schema, seen = new Set()) {
+  if (!Array.isArray(schema.allOf)) return schema;
+  const { allOf, ...merged } = schema;
+  for (const member of allOf) {
+    if (member?.$ref) {
+      if (seen.has(member.$ref)) continue;
+      seen.add(member.$ref);
+    }
+    const part = mergeAllOf(spec, resolveRef(spec, member), seen);
+    if (part.type !== undefined && merged.type === undefined) merged.type = part.type;
+    if (part.enum && !merged.enum) merged.enum = part.enum;
+    if (part.items && !merged.items) merged.items = part.items;
+    if (part.properties) merged.properties = { ...part.properties, ...merged.properties };
+    if (part.required) merged.required = [...new Set([...(merged.required || []), ...part.required])];
+    for (const keyword of ['oneOf', 'anyOf']) {
+      if (part[keyword] && !merged[keyword]) merged[keyword] = part[keyword];
+    }
+  }
+  return merged;
+}
+
+// oneOf/anyOf branches keyed by their $ref, inline ones by position
+function compositionBranches(branches) {
+  const map = new Map();
+  branches.forEach((branch, i) => map.set(branch?.$ref ? branch.$ref.split('/').pop() : `#${i}`, branch));
+  return map;
+}
+
+function schemaType(schema) {
+  if (!schema) return undefined;
+  if (Array.isArray(schema.type)) return schema.type.slice().sort().join('|');
+  return schema.type;
+}
+
+class SpecDiff {
+  constructor(base, head) {
+    this.base = base;
+    this.head = head;
+    this.breaking = [];
+    this.nonBreaking = [];
+  }
+
+  add(breaking, type, location, message) {
+    (breaking ? this.breaking : this.nonBreaking).push({ type, location, message });
+  }
+
+  compareSchemas(location, before, after, direction, seen = new Set()) {
+    // Guard against recursive schemas: `seen` holds the $ref pairs being compared further up this branch.
+    // Not the location, which grows on every level; shared (non-recursive) refs are still compared everywhere.
+    const guard = before?.$ref || after?.$ref ? `${before?.$ref || ''}|${after?.$ref || ''}` : null;
+    if (guard) {
+      if (seen.has(guard)) return;
+      seen.add(guard);
+    }
+    try {
+      this.compareResolvedSchemas(location, resolveRef(this.base, before), resolveRef(this.head, after), direction, seen);
+    } finally {
+      if (guard) seen.delete(guard);
+    }
+  }
+
+  compareResolvedSchemas(location, resolvedA, resolvedB, direction, seen) {
+    const a = mergeAllOf(this.base, resolvedA);
+    const b = mergeAllOf(this.head, resolvedB);
+    const typeA = schemaType(a);
+    const typeB = schemaType(b);
+    if (typeA && typeB && typeA !== typeB) {
+      this.add(true, 'type-changed', location, `type changed from ${typeA} to ${typeB}`);
+      return;
+    }
+
+    if (Array.isArray(a.enum) || Array.isArray(b.enum)) {
+      const enumA = Array.isArray(a.enum) ? a.enum.map(String) : null;
+      const enumB = Array.isArray(b.enum) ? b.enum.map(String) : null;
+      if (enumA && enumB) {
+        const removed = enumA.filter(v => !enumB.includes(v));
+        const added = enumB.filter(v => !enumA.includes(v));
+        if (removed.length) this.add(true, 'enum-narrowed', location, `enum values removed: ${removed.join(', ')}`);
+        if (added.length) this.add(false, 'enum-widened', location, `enum values added: ${added.join(', ')}`);
+      } else if (!enumA && enumB) {
+        this.add(true, 'enum-narrowed', location, `restricted to enum: ${enumB.join(', ')}`);
+      } else {
+        this.add(false, 'enum-widened', location, 'enum restriction removed');
+      }
+    }
+
+    const propsA = a.properties || {};
+    const propsB = b.properties || {};
+    const reqA = new Set(a.required || []);
+    const reqB = new Set(b.required || []);
+
+    for (const name of Object.keys(propsA)) {
+      const propLocation = `${location}.${name}`;
+      if (!(name in propsB)) {
+        if (direction === 'response') this.add(true, 'property-removed', propLocation, 'response property removed');
+        else this.add(false, 'property-removed', propLocation, 'request property removed');
+        continue;
+      }
+      this.compareSchemas(propLocation, propsA[name], propsB[name], direction, seen);
+    }
+    for (const name of Object.keys(propsB)) {
+      if (name in propsA) continue;
+      const propLocation = `${location}.${name}`;
+      if (direction === 'request' && reqB.has(name)) {
+        this.add(true, 'required-property-added', propLocation, 'new required request property');
+      } else {
+        this.add(false, 'property-added', propLocation, `${direction} property added`);
+      }
+    }
+    for (const name of reqB) {
+      if (reqA.has(name) || !(name in propsA)) continue;
+      if (direction === 'request') this.add(true, 'property-now-required', `${location}.${name}`, 'request property became required');
+    }
+    for (const name of reqA) {
+      if (reqB.has(name) || !(name in propsB)) continue;
+      if (direction === 'response') this.add(true, 'property-no-longer-required', `${location}.${name}`, 'response property is no longer guaranteed');
+      else this.add(false, 'property-now-optional', `${location}.${name}`, 'request property became optional');
+    }
+
+    if (a.items || b.items) {
+      this.compareSchemas(`${location}[]`, a.items, b.items, direction, seen);
+    }
+
+    for (const keyword of ['oneOf', 'anyOf']) {
+      const hasA = Array.isArray(a[keyword]);
+      const hasB = Array.isArray(b[keyword]);
+      if (!hasA && !hasB) continue;
+      if (hasA !== hasB) {
+        this.add(true, 'composition-changed', location, `${keyword} ${hasB ? 'added' : 'removed'}`);
+        continue;
+      }
+      const branchesA = compositionBranches(a[keyword]);
+      const branchesB = compositionBranches(b[keyword]);
+      for (const [key, branch] of branchesA) {
+        const branchLocation = `${location} ${keyword}[${key}]`;
+        if (!branchesB.has(key)) this.add(true, 'branch-removed', branchLocation, `${keyword} branch removed`);
+        else this.compareSchemas(branchLocation, branch, branchesB.get(key), direction, seen);
+      }
+      for (const key of branchesB.keys()) {
+        if (!branchesA.has(key)) this.add(false, 'branch-added', `${location} ${keyword}[${key}]`, `${keyword} branch added`);
+      }
+    }
+  }
+
+  compareContent(location, before, after, direction) {
+    const contentA = before || {};
+    const contentB = after || {};
+    for (const mediaType of Object.keys(contentA)) {
+      if (!(mediaType in contentB)) {
+        this.add(direction === 'response' || Object.keys(contentB).length === 0, 'media-type-removed', `${location} ${mediaType}`, `${direction} media type removed`);
+        continue;
+      }
+      this.compareSchemas(`${location} ${mediaType}`, contentA[mediaType].schema, contentB[mediaType].schema, direction);
+    }
+    for (const mediaType of Object.keys(contentB)) {
+      if (!(mediaType in contentA)) this.add(false, 'media-type-added', `${location} ${mediaType}`, `${direction} media type added`);
+    }
+  }
+
+  compareOperation(opKey, before, after) {
+    const paramsA = collectParameters(this.base, before);
+    const paramsB = collectParameters(this.head, after);
+    for (const [id, param] of paramsA) {
+      const location = `${opKey} ${param.in} param "${param.name}"`;
+      const next = paramsB.get(id);
+      if (!next) {
+        this.add(false, 'parameter-removed', location, 'parameter removed');
+        continue;
+      }
+      if (!param.required && next.required) this.add(true, 'parameter-now-required', location, 'parameter became required');
+      if (param.required && !next.required) this.add(false, 'parameter-now-optional', location, 'parameter became optional');
+      this.compareSchemas(location, param.schema, next.schema, 'request');
+    }
+    for (const [id, param] of paramsB) {
+      if (paramsA.has(id)) continue;
+      const location = `${opKey} ${param.in} param "${param.name}"`;
+      if (param.required) this.add(true, 'required-parameter-added', location, 'new required parameter');
+      else this.add(false, 'parameter-added', location, 'new optional parameter');
+    }
+
+    const bodyA = resolveRef(this.base, before.operation.requestBody);
+    const bodyB = resolveRef(this.head, after.operation.requestBody);
+    if (!bodyA.content && bodyB.content) {
+      this.add(Boolean(bodyB.required), bodyB.required ? 'request-body-required' : 'request-body-added', `${opKey} requestBody`, 'request body added');
+    } else if (bodyA.content && !bodyB.content) {
+      this.add(false, 'request-body-removed', `${opKey} requestBody`, 'request body removed');
+    } else if (bodyA.content && bodyB.content) {
+      if (!bodyA.required && bodyB.required) this.add(true, 'request-body-required', `${opKey} requestBody`, 'request body became required');
+      this.compareContent(`${opKey} requestBody`, bodyA.content, bodyB.content, 'request');
+    }
+
+    const responsesA = before.operation.responses || {};
+    const responsesB = after.operation.responses || {};
+    for (const status of Object.keys(responsesA)) {
+      const location = `${opKey} response ${status}`;
+      if (!(status in responsesB)) {
+        this.add(true, 'response-removed', location, 'response status code removed');
+        continue;
+      }
+      const resA = resolveRef(this.base, responsesA[status]);
+      const resB = resolveRef(this.head, responsesB[status]);
+      this.compareContent(location, resA.content, resB.content, 'response');
+    }
+    for (const status of Object.keys(responsesB)) {
+      if (!(status in responsesA)) this.add(false, 'response-added', `${opKey} response ${status}`, 'response status code added');
+    }
+  }
+
+  run() {
+    const opsA = collectOperations(this.base);
+    const opsB = collectOperations(this.head);
+    for (const [opKey, before] of opsA) {
+      const after = opsB.get(opKey);
+      if (!after) {
+        this.add(true, 'operation-removed', opKey, 'operation removed');
+        continue;
+      }
+      this.compareOperation(opKey, before, after);
+    }
+    for (const opKey of opsB.keys()) {
+      if (!opsA.has(opKey)) this.add(false, 'operation-added', opKey, 'operation added');
+    }
+    return {
+      breaking: this.breaking,
+      nonBreaking: this.nonBreaking,
+      summary: {
+        breaking: this.breaking.length,
+        nonBreaking: this.nonBreaking.length,
+        operationsBefore: opsA.size,
+        operationsAfter: opsB.size,
+      },
+    };
+  }
+}
+
+function diffSpecs(base, head) {
+  return new SpecDiff(base || {}, head || {}).run();
+}
+
+function formatReport(report) {
+  const lines = [`Spec diff: ${report.summary.breaking} breaking, ${report.summary.nonBreaking} non-breaking change(s)`];
+  if (report.breaking.length) {
+    lines.push('BREAKING:');
+    for (const c of report.breaking) lines.push(`  ✗ [${c.type}] ${c.location}: ${c.message}`);
+  }
+  if (report.nonBreaking.length) {
+    lines.push('NON-BREAKING:');
+    for (const c of report.nonBreaking) lines.push(`  • [${c.type}] ${c.location}: ${c.message}`);
+  }
+  return lines.join('\n');
+}
+
+function loadSpecDocument(specPath) {
+  // JSON or YAML; split specs are bundled so both sides compare as single documents
+  const { rootRel, files } = loadLocalSpec(specPath);
+  return files.size > 1 ? bundleSpecFiles(files, rootRel) : files.get(rootRel);
+}
+
+if (require.main === module) {
+  try {
+    const args = parseArgs(process.argv);
+    if (!args.base || !args.head) {
+      console.error('Usage: node scripts/spec_diff.js --base <previous.json> --head <new.json> [--format text|json] [--fail-on-breaking]');
+      process.exit(2);
+    }
+    const base = loadSpecDocument(args.base);
+    const head = loadSpecDocument(args.head);
+    const report = diffSpecs(base, head);
+    console.log(args.format === 'json' ? JSON.stringify(report, null, 2) : formatReport(report));
+    if (args['fail-on-breaking'] && report.summary.breaking > 0) process.exit(3);
+  } catch (err) {
+    console.error(err.stack || String(err));
+    process.exit(1);
+  }
+}
+
+module.exports = { diffSpecs, formatReport };
@@ -5,6 +5,7 @@ Spec Hub sync helper
 - Automatically generates collection if none exists (POST /specs/{specId}/generations/collection)
 - Automatically syncs collection if it exists (PUT /collections/{collectionUid}/synchronizations)
 - Resolves Collection UID via: state file -> spec's generated collections -> name lookup
+- Name lookups page through the whole workspace once per run and reuse that listing (scripts/lib/workspace_index.js)
 
 Inputs (env/args):
   env POSTMAN_API_KEY (required)
@@ -12,29 +13,115 @@ Inputs (env/args):
   args --domain <domain> (optional, defaults to "demo")
   args --service <service> (required)
   args --stage <stage> (required)
-  args --openapi <path to openapi.json> (required)
-  args --file-path <spec file path> (default: index.json)
+  args --openapi <path to openapi.json|yaml> (required; OpenAPI 3.0/3.1 or Swagger 2.0, JSON or YAML)
+  args --file-path <spec file path> (default: index.json, index.yaml for YAML input, root file name for split specs)
+  args --bundle (optional; upload a spec split across files with relative $refs as one bundled file)
   args --spec-id <specId> (optional; otherwise resolve-by-name or create)
   args --collection-uid <collectionUid> (optional; otherwise auto-detect)
-  args --state-file <path> (default: state/postman-ingestion-state.json)
+  args --state-file <path|URI> (default: state/postman-ingestion-state.json; s3://bucket/key and
+       dynamodb://table/key select shared backends, see scripts/lib/state_store.js)
   args --poll (optional; if set, poll sync/generation tasks to completion)
-
-Naming conventions:
-  specName = `[DEMO] ${service} #main`
-  collectionName = `[DEMO] ${service} #main`
+  args --force (optional; sync even when the spec hash matches lastSpecSha)
+  args --dry-run (optional; resolve everything read-only and print a plan, no writes)
+  args --max-retries <n> (optional; retries per Postman API call on 429/5xx, default 5 or POSTMAN_MAX_RETRIES)
+  args --previous-spec <path> (optional; archived spec to diff against instead of the Spec Hub file)
+  args --fail-on-breaking (optional; exit 3 before patching if breaking changes are detected)
+  args --diff-format <text|json> (default: text)
+  args --version-label <label> (optional; tag a Spec version, e.g. `${stage}-${deploymentId}` or a git tag)
+  args --region <region> (optional; the {region} naming placeholder, recorded in the state entry for prune.js)
+  args --proxy-config <path> (optional; declared methods/sub-paths for {proxy+} routes, JSON or YAML; overrides
+       config "services.<service>.proxy", see scripts/lib/proxy_routes.js)
+  args --overlay <file[,file...]> (optional; OpenAPI Overlay documents applied after config "services.<service>.overlays",
+       see scripts/lib/overlay.js)
+  args --contract-tests (optional; add status code and response schema tests to the collection requests after
+       generating/syncing, also config "contractTests": true; see scripts/lib/contract_tests.js)
+  args --mock (optional; create/update a Postman mock server of the collection and a "mock" environment with its
+       URL, also config "mock": true | { "private": true }; --mock false turns it off, see scripts/lib/mock_server.js)
+  args --regenerate-collection (optional; generate a new collection with the current options and delete the old one)
+  args --request-name-source / --indent-character / --parameters-resolution / --folder-strategy /
+       --include-auth-info-in-example / --enable-optional-parameters / --keep-implicit-headers /
+       --include-deprecated / --always-inherit-authentication / --nested-folder-hierarchy <value>
+       (optional; collection generation options, override config "collectionOptions")
+  args --spec-name-template / --collection-name-template / --config-env-name-template / --mock-name-template
+       <template> (optional)
+
+Naming conventions (templates from scripts/lib/naming.js, overridable via config "naming" or flags):
+  specName = `[{domain}] {service} #main`
+  collectionName = `[{domain}] {service} #main`
+  environment (per config entry) = `[{domain}] {service} #{env}`
+  mock server = `[{domain}] {service} #mock`, its environment = the config environment template with {env} = "mock"
+  Assets already tracked in the state file are renamed in place when their name no longer matches
 
 Notes:
-- Uses Node 18+ global fetch (no external deps)
-- Maintains a lightweight state file; falls back to resolve-by-name each run
+- Uses Node 18+ global fetch (no external deps) via scripts/lib/postman_client.js, which retries 429s and
+  transient 5xx/network errors with backoff, honoring Retry-After and rate-limit headers
+- Maintains a lightweight state file; falls back to resolve-by-name each run. Writes only replace this run's
+  entry and use optimistic locking, so concurrent runs for different services don't lose each other's updates
+- The state is migrated and validated against state/state.schema.json on load; an unparseable or invalid state
+  stops the run (inspect and fix it with scripts/state.js) instead of being treated as empty
 - If you already know specId/collectionUid, pass them via flags to skip discovery
 - Generation tasks are always polled to completion to extract collection UID
 - Sync tasks are only polled if --poll flag is provided
+- A canonical SHA-256 of the transformed spec is stored as lastSpecSha; unchanged specs are skipped
+- --dry-run only issues GET requests and never writes the state file
+- Swagger 2.0 input is upconverted to OpenAPI 3.0 before the transform; 3.1 specs are created as OPENAPI:3.1
+- Collection generation options are recorded in the state entry; when they change, the existing collection is
+  kept (sync cannot change them) and a warning suggests --regenerate-collection
+- Version labels already recorded in the state entry's `versions` list are not re-created
+- Split specs (root file plus paths/ and components/ files reached through relative $refs) are uploaded as
+  multiple Spec Hub files with their refs intact; unchanged files are not re-patched and files that are no
+  longer referenced are left in place with a warning. Split Swagger 2.0 specs are always bundled.
+- Request bodies, responses and parameters without examples get ones synthesized from their schemas
+  (scripts/lib/examples.js), seeded so repeated syncs produce the same examples; config "examples" sets the seed
+  or turns this off. It is on by default, so the first sync after upgrading re-uploads every such spec once
+- Operations matched by the "redact" rules of config/environments.json (global, per target workspace, per service)
+  are withheld from Spec Hub and the collection after the overlays, along with the components only they used;
+  the run log lists what was withheld. Split specs with redaction rules are bundled
+- The Postman transform is a pipeline of named transformers (scripts/lib/transformers.js): the AWS built-ins by
+  default, configurable and extensible with custom modules through config "transformers"; each logs its changes.
+  operation-names (opt-in) fills in missing operationIds/summaries/tags
+- OpenAPI Overlays are applied after the Postman transform and before the environment servers block, so
+  descriptions, examples and operationIds kept in git are re-applied to every export
+- {proxy+} routes (x-amazon-apigateway-any-method) are replaced by the sub-paths and methods declared for the
+  service; undeclared ones become GET and POST placeholders
+- API Gateway authorizers become standard security schemes (scripts/lib/aws_auth.js): Cognito/JWT and
+  Authorization-header Lambda authorizers -> bearer, other Lambda identity sources and API keys -> apiKey,
+  IAM -> AWS Signature set as collection auth. Config environments get the matching (empty, secret) variables.
 */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-
-const API_BASE = 'https://api.getpostman.com';
+const { diffSpecs, formatReport } = require('./spec_diff');
+const { resolveTemplates, renderName } = require('./lib/naming');
+const { pmFetch, setRetryOptions } = require('./lib/postman_client');
+const {
+  findInWorkspace,
+  rememberInWorkspace,
+  forgetInWorkspace,
+  invalidateWorkspaceIndex,
+} = require('./lib/workspace_index');
+const { normalizeSpecVersion, specHubType } = require('./lib/openapi_version');
+const { resolveCollectionOptions, changedOptions, formatOptionChanges } = require('./lib/collection_options');
+const { collectionAuth, authVariables, keepAuthSecrets } = require('./lib/aws_auth');
+const { loadProxyRoutes } = require('./lib/proxy_routes');
+const { DEFAULT_PIPELINE, resolveTransformers, runTransformers, transformPathItemFile } = require('./lib/transformers');
+const { overlayFiles, applyOverlays } = require('./lib/overlay');
+const { redactionRules, redactSpec, formatRedaction } = require('./lib/redact');
+const { exampleOptions, synthesizeExamples } = require('./lib/examples');
+const { injectContractTests, contractTestsEnabled, contractTestsSha } = require('./lib/contract_tests');
+const { mockOptions, planMock, upsertMock } = require('./lib/mock_server');
+const { openStateStore, DEFAULT_STATE_FILE } = require('./lib/state_store');
+const {
+  isYamlPath,
+  parseSpecText,
+  serializeSpecFile,
+  loadLocalSpec,
+  bundleSpecFiles,
+  externalPathItemRefs,
+  getPointer,
+  setPointer,
+} = require('./lib/spec_loader');
 
 function parseArgs(argv) {
   const args = {};
@@ -60,158 +147,87 @@ function readJsonFile(p) {
   return JSON.parse(b.toString());
 }
 
-function ensureDirFor(filePath) {
-  const dir = path.dirname(filePath);
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+function key(domain, service, stage) {
+  // Sanitize all components (replace spaces and the ":" separator with underscores) for state file key;
+  // e.g. a postman:service tag value can contain ":", which the state schema's key pattern rejects
+  const sanitizedDomain = (domain || 'demo').replace(/[\s:]+/g, '_');
+  const sanitizedService = service.replace(/[\s:]+/g, '_');
+  const sanitizedStage = stage.replace(/[\s:]+/g, '_');
+  return `${sanitizedDomain}:${sanitizedService}:${sanitizedStage}`;
 }
 
-function loadState(stateFile) {
-  try {
-    return readJsonFile(stateFile);
-  } catch {
-    return { entries: {} };
+function sanitizeServiceName(service) {
+  // Replace spaces with underscores for Postman asset names
+  return service.replace(/\s+/g, '_');
+}
+
+function canonicalize(value) {
+  // Recursively sort object keys so semantically equal specs serialize identically
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const k of Object.keys(value).sort()) sorted[k] = canonicalize(value[k]);
+    return sorted;
   }
+  return value;
 }
 
-function saveState(stateFile, state) {
-  ensureDirFor(stateFile);
-  fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+function computeSpecSha(specObj) {
+  return crypto.createHash('sha256').update(JSON.stringify(canonicalize(specObj))).digest('hex');
 }
 
-function key(domain, service, stage) {
-  // Sanitize all components (replace spaces with underscores) for state file key
-  const sanitizedDomain = (domain || 'demo').replace(/\s+/g, '_');
-  const sanitizedService = service.replace(/\s+/g, '_');
-  const sanitizedStage = stage.replace(/\s+/g, '_');
-  return `${sanitizedDomain}:${sanitizedService}:${sanitizedStage}`;
+function countChangedLines(beforeText, afterText) {
+  // Lines added + removed, compared as multisets (cheap and order-insensitive, good enough for a plan)
+  const counts = new Map();
+  for (const line of String(beforeText).split('\n')) counts.set(line, (counts.get(line) || 0) + 1);
+  let added = 0;
+  for (const line of String(afterText).split('\n')) {
+    const n = counts.get(line) || 0;
+    if (n > 0) counts.set(line, n - 1);
+    else added++;
+  }
+  let removed = 0;
+  for (const n of counts.values()) removed += n;
+  return added + removed;
 }
 
-function sanitizeServiceName(service) {
-  // Replace spaces with underscores for Postman asset names
-  return service.replace(/\s+/g, '_');
+function printPlan(plan) {
+  console.log('');
+  console.log('Dry run plan (no changes made):');
+  if (plan.length === 0) console.log('  - nothing to do');
+  for (const step of plan) console.log(`  - ${step}`);
 }
 
-function transformSpecForPostman(specObj) {
+// `transformers` (from resolveTransformers, default: the built-ins) run in order on a copy of the spec;
+// `proxyRoutes` (from loadProxyRoutes) replaces the GET/POST placeholders of declared proxy routes
+function transformSpecForPostman(specObj, { transformers = resolveTransformers(), proxyRoutes = null, service, log = console.log } = {}) {
   // Deep clone to avoid mutating original
   const transformed = JSON.parse(JSON.stringify(specObj));
-  
-  // Remove AWS-specific root-level extensions
-  delete transformed['x-amazon-apigateway-cors'];
-  delete transformed['x-amazon-apigateway-importexport-version'];
-  
-  // Filter out AWS CloudFormation tags, keep only meaningful tags
-  if (transformed.tags && Array.isArray(transformed.tags)) {
-    transformed.tags = transformed.tags.filter(tag => 
-      tag.name && !tag.name.startsWith('aws:') && !tag.name.startsWith('httpapi:')
-    );
-  }
-  
-  // Transform paths - convert AWS proxy routes to standard OpenAPI
-  if (transformed.paths) {
-    const transformedPaths = {};
-    
-    for (const [path, pathItem] of Object.entries(transformed.paths)) {
-      const cleanPathItem = {};
-      
-      // Handle proxy routes (/{proxy+}) by converting x-amazon-apigateway-any-method to common methods
-      if (pathItem['x-amazon-apigateway-any-method']) {
-        const anyMethod = pathItem['x-amazon-apigateway-any-method'];
-        // For proxy routes, create a generic POST method (common for Lambda proxies)
-        cleanPathItem.post = {
-          summary: `Proxy route: ${path}`,
-          description: `Generic proxy route that forwards requests to Lambda function`,
-          parameters: pathItem.parameters || [],
-          responses: anyMethod.responses || {
-            '200': { description: 'Success response' },
-            '500': { description: 'Error response' }
-          },
-          requestBody: {
-            description: 'Request body',
-            content: {
-              'application/json': {
-                schema: { type: 'object' }
-              }
-            }
-          }
-        };
-        
-        // Also add GET for common use cases
-        cleanPathItem.get = {
-          summary: `Proxy route: ${path}`,
-          description: `Generic proxy route that forwards requests to Lambda function`,
-          parameters: [
-            ...(pathItem.parameters || []),
-            {
-              name: 'query',
-              in: 'query',
-              description: 'Query parameters',
-              required: false,
-              schema: { type: 'object' }
-            }
-          ],
-          responses: anyMethod.responses || {
-            '200': { description: 'Success response' },
-            '500': { description: 'Error response' }
-          }
-        };
-      } else {
-        // For standard paths, copy method operations and clean AWS extensions
-        for (const [method, operation] of Object.entries(pathItem)) {
-          if (['get', 'post', 'put', 'patch', 'delete', 'head', 'options'].includes(method.toLowerCase())) {
-            const cleanOperation = { ...operation };
-            // Remove AWS-specific operation extensions
-            delete cleanOperation['x-amazon-apigateway-integration'];
-            delete cleanOperation['x-amazon-apigateway-request-validator'];
-            cleanPathItem[method] = cleanOperation;
-          }
-        }
-      }
-      
-      // Copy parameters if they exist
-      if (pathItem.parameters) {
-        cleanPathItem.parameters = pathItem.parameters.map(param => {
-          const cleanParam = { ...param };
-          delete cleanParam['x-amazon-apigateway-param'];
-          return cleanParam;
-        });
-      }
-      
-      // Only add path if it has at least one HTTP method
-      if (Object.keys(cleanPathItem).length > 0) {
-        transformedPaths[path] = cleanPathItem;
-      }
-    }
-    
-    transformed.paths = transformedPaths;
-  }
-  
-  // Clean up server URLs - remove template variables if they're just basePath
-  if (transformed.servers && Array.isArray(transformed.servers)) {
-    transformed.servers = transformed.servers.map(server => {
-      const cleaned = { ...server };
-      // If server has {basePath} variable and it defaults to stage, simplify
-      if (cleaned.variables && cleaned.variables.basePath) {
-        const basePath = cleaned.variables.basePath.default || '';
-        if (basePath && cleaned.url.includes('{basePath}')) {
-          cleaned.url = cleaned.url.replace('{basePath}', basePath);
-          delete cleaned.variables.basePath;
-          // Remove variables object if empty
-          if (Object.keys(cleaned.variables || {}).length === 0) {
-            delete cleaned.variables;
-          }
-        }
-      }
-      return cleaned;
-    });
-  }
-  
-  return transformed;
+  return runTransformers(transformed, transformers, { proxyRoutes, service, log, source: specObj });
 }
 
 // ============================================================================
 // Multi-Environment Configuration Support
 // ============================================================================
 
+function transformSpecFiles(files, rootRel, rootSpec, { transformers = resolveTransformers(), proxyRoutes = null, service, log = console.log } = {}) {
+  // The root gets the whole-document transform; path items split into other files are
+  // transformed in place so every file keeps its relative $refs
+  const out = new Map();
+  for (const [rel, doc] of files) {
+    out.set(rel, rel === rootRel ? rootSpec : JSON.parse(JSON.stringify(doc)));
+  }
+  for (const { path: apiPath, file, pointer } of externalPathItemRefs(rootSpec, rootRel)) {
+    const target = out.has(file) ? getPointer(out.get(file), pointer) : undefined;
+    if (!target || typeof target !== 'object') {
+      throw new Error(`Path item for ${apiPath} not found at ${file}#${pointer}`);
+    }
+    const pathItem = transformPathItemFile(apiPath, target, transformers, { rootSpec, proxyRoutes, service, log, source: { paths: { [apiPath]: target } } });
+    out.set(file, setPointer(out.get(file), pointer, pathItem));
+  }
+  return out;
+}
+
 function loadEnvironmentConfig(configPath = 'config/environments.json') {
   try {
     if (!fs.existsSync(configPath)) {
@@ -233,10 +249,10 @@ function getServiceEnvironments(config, service) {
   return (serviceConfig.environments || []).filter(env => env.enabled !== false);
 }
 
-function enrichSpecWithEnvironments(spec, service, config) {
+function enrichSpecWithEnvironments(spec, service, config, log = console.log) {
   const envs = getServiceEnvironments(config, service);
   if (!envs || envs.length === 0) {
-    console.log(`No environments configured for ${service}, keeping original servers block`);
+    log(`No environments configured for ${service}, keeping original servers block`);
     return spec;
   }
 
@@ -284,27 +300,19 @@ function enrichSpecWithEnvironments(spec, service, config) {
   }
 
   spec.servers = [serverEntry];
-  console.log(`Enriched spec with ${envs.length} environments: ${envs.map(e => e.name).join(', ')}`);
+  log(`Enriched spec with ${envs.length} environments: ${envs.map(e => e.name).join(', ')}`);
   
   return spec;
 }
 
-async function pmFetch(pathname, opts = {}) {
-  const resp = await fetch(`${API_BASE}${pathname}`, opts);
-  if (!resp.ok && resp.status !== 202) {
-    const body = await resp.text().catch(() => '');
-    throw new Error(`Postman API ${opts.method || 'GET'} ${pathname} failed: ${resp.status} ${resp.statusText}\n${body}`);
-  }
-  const ct = resp.headers.get('content-type') || '';
-  if (ct.includes('application/json')) return { resp, data: await resp.json() };
-  return { resp, data: await resp.text() };
-}
-
-async function createSpec(workspaceId, specName, filePath, fileContent, apiKey) {
+async function createSpec(workspaceId, specName, files, apiKey, type = 'OPENAPI:3.0') {
+  // files: [{ path, content }]; multi-file specs mark the entry point as ROOT
   const body = {
     name: specName,
-    type: 'OPENAPI:3.0',
-    files: [{ path: filePath, content: fileContent }],
+    type,
+    files: files.length > 1
+      ? files.map((f, i) => ({ path: f.path, content: f.content, type: i === 0 ? 'ROOT' : 'DEFAULT' }))
+      : files.map(f => ({ path: f.path, content: f.content })),
   };
   const { data } = await pmFetch(`/specs?workspaceId=${encodeURIComponent(workspaceId)}`, {
     method: 'POST',
@@ -329,42 +337,202 @@ async function patchSpecFile(specId, filePath, fileContent, apiKey) {
   return data;
 }
 
-async function listSpecs(workspaceId, apiKey) {
-  const { data } = await pmFetch(`/specs?workspaceId=${encodeURIComponent(workspaceId)}`, {
+async function getSpecFile(specId, filePath, apiKey) {
+  try {
+    const { data } = await pmFetch(`/specs/${encodeURIComponent(specId)}/files/${encodeURIComponent(filePath)}`, {
+      headers: { 'x-api-key': apiKey },
+    });
+    return data?.content ?? data?.file?.content ?? null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function listSpecFiles(specId, apiKey) {
+  const { data } = await pmFetch(`/specs/${encodeURIComponent(specId)}/files`, {
     headers: { 'x-api-key': apiKey },
   });
-  // Expect an array of specs with { id, name, ... }
-  return Array.isArray(data?.specs) ? data.specs : (Array.isArray(data) ? data : []);
+  return (data?.files || []).map(f => f.path).filter(Boolean);
 }
 
-async function findSpecByName(workspaceId, name, apiKey) {
-  try {
-    const specs = await listSpecs(workspaceId, apiKey);
-    return specs.find(s => s.name === name) || null;
-  } catch (e) {
-    return null;
+async function createSpecFile(specId, filePath, fileContent, apiKey) {
+  const { data } = await pmFetch(`/specs/${encodeURIComponent(specId)}/files`, {
+    method: 'POST',
+    headers: {
+      'x-api-key': apiKey,
+      'content-type': 'application/json',
+    },
+    body: JSON.stringify({ path: filePath, content: fileContent }),
+  });
+  return data;
+}
+
+async function getRemoteSpecFiles(specId, apiKey) {
+  // Map of path -> content for every file in the spec
+  const contents = new Map();
+  for (const filePath of await listSpecFiles(specId, apiKey)) {
+    const content = await getSpecFile(specId, filePath, apiKey);
+    if (content !== null) contents.set(filePath, content);
   }
+  return contents;
 }
 
-async function listCollections(workspaceId, apiKey) {
-  // Prefer workspace-scoped listing; fallback to global listing
+function bundleRemoteSpec(contents, rootPath) {
+  const files = new Map();
+  for (const [filePath, content] of contents) {
+    files.set(filePath, typeof content === 'string' ? parseSpecText(content, filePath) : content);
+  }
+  return files.size > 1 ? bundleSpecFiles(files, rootPath) : files.get(rootPath);
+}
+
+async function createSpecVersion(specId, name, apiKey) {
+  // POST /specs/{specId}/versions - snapshot the current spec content under a label
+  const { data } = await pmFetch(`/specs/${encodeURIComponent(specId)}/versions`, {
+    method: 'POST',
+    headers: {
+      'x-api-key': apiKey,
+      'content-type': 'application/json',
+    },
+    body: JSON.stringify({ name }),
+  });
+  return data?.id || data?.version?.id || null;
+}
+
+async function recordSpecVersion(entry, specId, label, specSha, apiKey) {
+  entry.versions = entry.versions || [];
+  if (entry.versions.some(v => v.label === label)) {
+    console.log(`Spec version ${label} already recorded, skipping`);
+    return false;
+  }
+  const versionId = await createSpecVersion(specId, label, apiKey);
+  entry.versions.push({ label, versionId, specSha, createdAt: new Date().toISOString() });
+  console.log(`Created Spec version ${label}${versionId ? ` (${versionId})` : ''}`);
+  return true;
+}
+
+async function getSpec(specId, apiKey) {
+  const { data } = await pmFetch(`/specs/${encodeURIComponent(specId)}`, {
+    headers: { 'x-api-key': apiKey },
+  });
+  return data?.spec || data;
+}
+
+async function renameSpec(specId, name, apiKey) {
+  const { data } = await pmFetch(`/specs/${encodeURIComponent(specId)}`, {
+    method: 'PATCH',
+    headers: {
+      'x-api-key': apiKey,
+      'content-type': 'application/json',
+    },
+    body: JSON.stringify({ name }),
+  });
+  return data;
+}
+
+async function getCollectionName(collectionUid, apiKey) {
+  const { data } = await pmFetch(`/collections/${encodeURIComponent(collectionUid)}`, {
+    headers: { 'x-api-key': apiKey },
+  });
+  return data?.collection?.info?.name || null;
+}
+
+async function renameCollection(collectionUid, name, apiKey) {
+  // PATCH /collections/{collectionUid} only touches the fields that are sent
+  const { data } = await pmFetch(`/collections/${encodeURIComponent(collectionUid)}`, {
+    method: 'PATCH',
+    headers: {
+      'x-api-key': apiKey,
+      'content-type': 'application/json',
+    },
+    body: JSON.stringify({ collection: { info: { name } } }),
+  });
+  return data;
+}
+
+async function setCollectionAuth(collectionUid, auth, apiKey) {
+  // Collection-level auth is not part of what generation/sync derive from the spec, so it survives later syncs
+  const { data } = await pmFetch(`/collections/${encodeURIComponent(collectionUid)}`, {
+    method: 'PATCH',
+    headers: {
+      'x-api-key': apiKey,
+      'content-type': 'application/json',
+    },
+    body: JSON.stringify({ collection: { auth } }),
+  });
+  return data;
+}
+
+async function getCollection(collectionUid, apiKey) {
+  const { data } = await pmFetch(`/collections/${encodeURIComponent(collectionUid)}`, {
+    headers: { 'x-api-key': apiKey },
+  });
+  return data?.collection;
+}
+
+async function replaceCollection(collectionUid, collection, apiKey) {
+  const { data } = await pmFetch(`/collections/${encodeURIComponent(collectionUid)}`, {
+    method: 'PUT',
+    headers: {
+      'x-api-key': apiKey,
+      'content-type': 'application/json',
+    },
+    body: JSON.stringify({ collection }),
+  });
+  return data;
+}
+
+// Refresh the generated contract test block of every request (scripts/lib/contract_tests.js); hand-written tests stay.
+// With dryRun the counts are computed but nothing is written.
+async function addContractTests(collectionUid, spec, apiKey, { dryRun = false } = {}) {
+  const collection = await getCollection(collectionUid, apiKey);
+  if (!collection) throw new Error(`Collection ${collectionUid} not found`);
+  const counts = injectContractTests(collection, spec);
+  if (counts.updated && !dryRun) await replaceCollection(collectionUid, collection, apiKey);
+  return counts;
+}
+
+async function migrateAssetNames(entry, { specName, collectionName }, apiKey, dryRun) {
+  // Rename state-tracked assets (e.g. legacy `[DEMO] ...` names) instead of creating duplicates
+  const steps = [];
+  if (entry.specId && entry.specName !== specName) {
+    const current = (await getSpec(entry.specId, apiKey))?.name;
+    if (current && current !== specName) {
+      steps.push(`rename spec ${entry.specId}: ${current} -> ${specName}`);
+      if (!dryRun) await renameSpec(entry.specId, specName, apiKey);
+    }
+    if (!dryRun) entry.specName = specName;
+  }
+  if (entry.collectionUid && entry.collectionName !== collectionName) {
+    const current = await getCollectionName(entry.collectionUid, apiKey);
+    if (current && current !== collectionName) {
+      steps.push(`rename collection ${entry.collectionUid}: ${current} -> ${collectionName}`);
+      if (!dryRun) await renameCollection(entry.collectionUid, collectionName, apiKey);
+    }
+    if (!dryRun) entry.collectionName = collectionName;
+  }
+  if (!dryRun) steps.forEach(step => console.log(`Migrated name: ${step}`));
+  return steps;
+}
+
+// Workspace listings are paginated to the end and cached for the run (scripts/lib/workspace_index.js)
+async function findSpecByName(workspaceId, name, apiKey) {
   try {
-    const { data } = await pmFetch(`/collections?workspaceId=${encodeURIComponent(workspaceId)}`, {
-      headers: { 'x-api-key': apiKey },
-    });
-    return data?.collections || data?.collection || data || [];
+    return await findInWorkspace('specs', workspaceId, name, apiKey);
   } catch (e) {
-    const { data } = await pmFetch(`/collections`, { headers: { 'x-api-key': apiKey } });
-    return data?.collections || data?.collection || data || [];
+    return null;
   }
 }
 
 async function findCollectionByName(workspaceId, name, apiKey) {
+  // Prefer workspace-scoped listing; fallback to global listing
   try {
-    const cols = await listCollections(workspaceId, apiKey);
-    return (Array.isArray(cols) ? cols : []).find(c => c.name === name) || null;
+    return await findInWorkspace('collections', workspaceId, name, apiKey);
   } catch (e) {
-    return null;
+    try {
+      return await findInWorkspace('collections', null, name, apiKey);
+    } catch (err) {
+      return null;
+    }
   }
 }
 
@@ -381,22 +549,12 @@ async function getSpecCollections(specId, apiKey) {
   }
 }
 
-async function generateCollectionFromSpec(workspaceId, specId, collectionName, apiKey) {
+async function generateCollectionFromSpec(workspaceId, specId, collectionName, options, apiKey) {
   // POST /specs/{specId}/generations/collection - Generate a collection from spec
+  // options come from scripts/lib/collection_options.js (config + CLI overrides)
   const body = {
     name: collectionName,
-    options: {
-      requestNameSource: "Fallback",
-      indentCharacter: "Space",
-      parametersResolution: "Schema",
-      folderStrategy: "Paths",
-      includeAuthInfoInExample: true,
-      enableOptionalParameters: true,
-      keepImplicitHeaders: false,
-      includeDeprecated: true,
-      alwaysInheritAuthentication: false,
-      nestedFolderHierarchy: false,
-    },
+    options,
   };
   const { data, resp } = await pmFetch(`/specs/${encodeURIComponent(specId)}/generations/collection?workspaceId=${encodeURIComponent(workspaceId)}`, {
     method: 'POST',
@@ -410,6 +568,14 @@ async function generateCollectionFromSpec(workspaceId, specId, collectionName, a
   return { accepted: resp.status === 202, task: data };
 }
 
+async function deleteCollection(collectionUid, apiKey) {
+  const { data } = await pmFetch(`/collections/${encodeURIComponent(collectionUid)}`, {
+    method: 'DELETE',
+    headers: { 'x-api-key': apiKey },
+  });
+  return data;
+}
+
 async function syncCollection(collectionUid, specId, apiKey) {
   // PUT /collections/{collectionUid}/synchronizations?specId={specId} - Sync collection with spec
   const { data, resp } = await pmFetch(`/collections/${encodeURIComponent(collectionUid)}/synchronizations?specId=${encodeURIComponent(specId)}`, {
@@ -432,21 +598,9 @@ async function pollTask(taskUrlPath, apiKey, { timeoutMs = 180000, intervalMs =
   return last;
 }
 
-async function listEnvironments(workspaceId, apiKey) {
-  try {
-    const { data } = await pmFetch(`/environments?workspaceId=${encodeURIComponent(workspaceId)}`, {
-      headers: { 'x-api-key': apiKey },
-    });
-    return data?.environments || data || [];
-  } catch (e) {
-    return [];
-  }
-}
-
 async function findEnvironmentByName(workspaceId, name, apiKey) {
   try {
-    const envs = await listEnvironments(workspaceId, apiKey);
-    return (Array.isArray(envs) ? envs : []).find(e => e.name === name) || null;
+    return await findInWorkspace('environments', workspaceId, name, apiKey);
   } catch (e) {
     return null;
   }
@@ -459,15 +613,18 @@ async function upsertEnvironment(workspaceId, name, variables, apiKey, existingU
   };
 
   if (existingUid) {
-    // Update existing environment
+    // Update existing environment; PUT replaces every value, so read the auth secrets users entered first
     try {
+      const { data: current } = await pmFetch(`/environments/${encodeURIComponent(existingUid)}`, {
+        headers: { 'x-api-key': apiKey },
+      });
       const { data } = await pmFetch(`/environments/${encodeURIComponent(existingUid)}`, {
         method: 'PUT',
         headers: { 
           'x-api-key': apiKey, 
           'content-type': 'application/json' 
         },
-        body: JSON.stringify({ environment: envBody })
+        body: JSON.stringify({ environment: { ...envBody, values: keepAuthSecrets(variables, current?.environment?.values) } })
       });
       return data.environment?.uid || existingUid;
     } catch (err) {
@@ -484,10 +641,35 @@ async function upsertEnvironment(workspaceId, name, variables, apiKey, existingU
     },
     body: JSON.stringify({ environment: envBody })
   });
-  return data.environment?.uid || data.uid;
+  const uid = data.environment?.uid || data.uid;
+  rememberInWorkspace('environments', workspaceId, { uid, name });
+  return uid;
 }
 
-async function createEnvironmentsFromConfig(workspaceId, domain, service, config, apiKey, stateEntry) {
+function configEnvironmentName(template, domain, service, env) {
+  return renderName(template, {
+    domain,
+    service: sanitizeServiceName(service),
+    stage: env.stage,
+    region: env.region,
+    env: env.name,
+  });
+}
+
+async function planEnvironmentsFromConfig(workspaceId, domain, service, config, apiKey, stateEntry, nameTemplate) {
+  const envs = getServiceEnvironments(config, service);
+  const steps = [];
+  for (const env of envs) {
+    const envName = configEnvironmentName(nameTemplate, domain, service, env);
+    const existingUid = stateEntry.environments?.[env.name];
+    const found = existingUid ? null : await findEnvironmentByName(workspaceId, envName, apiKey);
+    const uid = existingUid || found?.uid;
+    steps.push(uid ? `update env ${envName} (${uid})` : `create env ${envName}`);
+  }
+  return steps;
+}
+
+async function createEnvironmentsFromConfig(workspaceId, domain, service, config, apiKey, stateEntry, nameTemplate, extraVars = []) {
   const envs = getServiceEnvironments(config, service);
   if (!envs || envs.length === 0) {
     console.log(`No environments configured for ${service}, skipping environment creation`);
@@ -502,8 +684,8 @@ async function createEnvironmentsFromConfig(workspaceId, domain, service, config
   console.log(`Creating/updating ${envs.length} Postman environments...`);
 
   for (const env of envs) {
-    const envName = `[${domain}] ${sanitizedService} #${env.name}`;
-    
+    const envName = configEnvironmentName(nameTemplate, domain, service, env);
+
     // Build baseUrl by replacing template variables
     let baseUrl = urlPattern;
     baseUrl = baseUrl.replace('{apiId}', env.apiId || '{apiId}');
@@ -515,7 +697,8 @@ async function createEnvironmentsFromConfig(workspaceId, domain, service, config
       { key: 'region', value: env.region, type: 'default', enabled: true },
       { key: 'stage', value: env.stage, type: 'default', enabled: true },
       { key: 'apiId', value: env.apiId, type: 'default', enabled: true },
-      { key: 'description', value: env.description || `${env.stage} environment in ${env.region}`, type: 'default', enabled: true }
+      { key: 'description', value: env.description || `${env.stage} environment in ${env.region}`, type: 'default', enabled: true },
+      ...extraVars,
     ];
 
     try {
@@ -531,217 +714,638 @@ async function createEnvironmentsFromConfig(workspaceId, domain, service, config
   return createdEnvs;
 }
 
-(async () => {
-  try {
-    const args = parseArgs(process.argv);
-    const {
-      domain = 'demo',
-      service,
-      stage,
-      openapi: openapiPath,
-      'file-path': specFilePath = 'index.json',
-      'spec-id': specIdArg,
-      'collection-uid': collectionUidArg,
-      'state-file': stateFile = 'state/postman-ingestion-state.json',
-      poll,
-    } = args;
-
-    if (!service || !stage || !openapiPath) {
-      console.error('Usage: node scripts/spec_sync.js [--domain <domain>] --service <service> --stage <stage> --openapi <openapi.json> [--file-path index.json] [--spec-id SPEC_ID] [--collection-uid UID] [--state-file path] [--poll]');
-      console.error('  --domain defaults to "demo" if not provided');
-      process.exit(2);
-    }
-
-    const POSTMAN_API_KEY = requireEnv('POSTMAN_API_KEY');
-    const POSTMAN_WORKSPACE_ID = requireEnv('POSTMAN_WORKSPACE_ID');
-
-    const sanitizedService = sanitizeServiceName(service);
-    const specName = `[DEMO] ${sanitizedService} #main`;
-    const collectionName = `[DEMO] ${sanitizedService} #main`;
-    const state = loadState(stateFile);
-    const entryKey = key(domain, service, stage);
-    const entry = state.entries[entryKey] || {};
-
-    // Load environment configuration for multi-env support
-    const envConfig = loadEnvironmentConfig();
-
-    // read and transform openapi content for Postman compatibility
-    const fileStat = fs.statSync(openapiPath);
-    if (fileStat.size > 10 * 1024 * 1024) throw new Error('OpenAPI file exceeds 10 MB limit');
-    const originalSpec = JSON.parse(fs.readFileSync(openapiPath, 'utf8'));
-    let transformedSpec = transformSpecForPostman(originalSpec);
-    
-    // Enrich spec with multi-environment servers block if config exists
-    if (envConfig) {
-      transformedSpec = enrichSpecWithEnvironments(transformedSpec, service, envConfig);
+// Key of the mock environment in entry.environments, and its {env} in the configEnvironment template
+const MOCK_ENVIRONMENT = 'mock';
+
+function mockEnvironmentClash(config, service) {
+  const clash = getServiceEnvironments(config, service).some(env => env.name === MOCK_ENVIRONMENT);
+  if (clash) console.warn(`Config environment "${MOCK_ENVIRONMENT}" of ${service} is kept; the mock server gets no environment of its own`);
+  return clash;
+}
+
+// Dry-run steps for syncMockServer
+async function planMockServer(workspaceId, entry, { name, envName, options, collectionUid, writeEnvironment }, apiKey) {
+  const steps = [await planMock(workspaceId, { mockId: entry.mockId, name, collectionUid, private: options.private }, apiKey)];
+  const envUid = entry.environments?.[MOCK_ENVIRONMENT];
+  if (writeEnvironment) steps.push(envUid ? `update env ${envName} (${envUid})` : `create env ${envName}`);
+  return steps;
+}
+
+// Create/update the mock server of entry.collectionUid and the "mock" environment pointing at it; updates `entry`
+async function syncMockServer(workspaceId, entry, { name, envName, options, writeEnvironment }, apiKey) {
+  const { mock, action, deleted } = await upsertMock(workspaceId, {
+    mockId: entry.mockId,
+    name,
+    collectionUid: entry.collectionUid,
+    private: options.private,
+  }, apiKey);
+  entry.mockId = mock.id;
+  if (mock.mockUrl) entry.mockUrl = mock.mockUrl;
+  console.log(`Mock server ${action}: ${name} (${mock.id})${entry.mockUrl ? ` ${entry.mockUrl}` : ''}`);
+  if (deleted) console.log(`Deleted previous mock server ${deleted}`);
+  if (!writeEnvironment) return;
+  if (!entry.mockUrl) {
+    console.warn(`Mock server ${mock.id} reported no URL; skipping environment ${envName}`);
+    return;
+  }
+
+  // baseUrl too, so the collection's requests go to the mock with this environment selected
+  const envVars = [
+    { key: 'mockUrl', value: entry.mockUrl, type: 'default', enabled: true },
+    { key: 'baseUrl', value: entry.mockUrl, type: 'default', enabled: true },
+  ];
+  const envUid = await upsertEnvironment(workspaceId, envName, envVars, apiKey, entry.environments?.[MOCK_ENVIRONMENT]);
+  entry.environments = { ...entry.environments, [MOCK_ENVIRONMENT]: envUid };
+  console.log(`  ✓ ${envName} (${envUid})`);
+}
+
+// Load, convert and transform a local spec exactly as spec_sync uploads it. Returns the upload files and
+// the canonical sha256 stored as lastSpecSha (also used by reconcile.js to detect drift without syncing).
+function prepareSpec({ openapiPath, filePath: filePathArg, bundle, service, envConfig, proxyConfig, overlay, workspaceId, log = console.log }) {
+  const loaded = loadLocalSpec(openapiPath);
+  if (loaded.totalBytes > 10 * 1024 * 1024) throw new Error('OpenAPI file exceeds 10 MB limit');
+  let rawSpec = loaded.files.get(loaded.rootRel);
+  let multiFile = loaded.files.size > 1;
+  const redactions = redactionRules({ config: envConfig, service, workspaceId });
+  if (multiFile && (bundle || rawSpec.swagger || redactions.length)) {
+    // Swagger 2.0 has to be converted as one document, so split Swagger specs are always bundled;
+    // so are specs with redaction rules, which must see every operation and component
+    rawSpec = bundleSpecFiles(loaded.files, loaded.rootRel);
+    multiFile = false;
+    log(`Bundled ${loaded.files.size} spec files into one document`);
+  }
+  if (multiFile) {
+    const outside = [...loaded.files.keys()].filter(rel => rel.startsWith('../'));
+    if (outside.length) {
+      throw new Error(`Spec files outside the root spec's directory cannot be uploaded as-is (${outside.join(', ')}); pass --bundle`);
     }
-    
-    const fileText = JSON.stringify(transformedSpec, null, 2);
-
-    // Resolve/create specId (prefer cached -> arg -> resolve-by-name -> create)
-    let specId = entry.specId || specIdArg;
-    if (!specId) {
-      const found = await findSpecByName(POSTMAN_WORKSPACE_ID, specName, POSTMAN_API_KEY);
-      if (found?.id) {
-        specId = found.id;
-        console.log(`Resolved Spec by name: ${specName} -> ${specId}`);
+  }
+  const { spec: originalSpec, converted, sourceVersion } = normalizeSpecVersion(rawSpec);
+  if (converted) log(`Detected ${sourceVersion}; converted to OpenAPI ${originalSpec.openapi}`);
+  const specType = specHubType(originalSpec);
+  const proxyRoutes = loadProxyRoutes({ config: envConfig, service, file: proxyConfig });
+  const transformers = resolveTransformers({ config: envConfig, service });
+  if (multiFile && transformers.some(t => !t.pathItem && !DEFAULT_PIPELINE.includes(t.name))) {
+    log('Custom transformers only see the root spec file; pass --bundle to transform path items split into other files');
+  }
+  let transformedSpec = transformSpecForPostman(originalSpec, { transformers, proxyRoutes, service, log });
+
+  // Hand-written documentation kept in git survives every re-export
+  const overlays = overlayFiles({ config: envConfig, service, flag: overlay });
+  if (overlays.length) {
+    if (multiFile) log('Overlays only see the root spec file; pass --bundle to target path items split into other files');
+    applyOverlays(transformedSpec, overlays, log);
+  }
+
+  // Internal operations never reach Spec Hub or the generated collection
+  formatRedaction(redactSpec(transformedSpec, redactions)).forEach(line => log(line));
+
+  // Requests with bodies and saved responses; seeded, so the same spec always gets the same examples
+  const examples = exampleOptions({ config: envConfig, service });
+  if (examples) {
+    if (multiFile) log('Examples are only synthesized for the root spec file; pass --bundle to cover files split out of it');
+    const counts = synthesizeExamples(transformedSpec, examples);
+    if (counts.requests || counts.responses || counts.parameters) {
+      log(`Synthesized examples (seed "${examples.seed}"): request bodies ${counts.requests}, responses ${counts.responses}, parameters ${counts.parameters}`);
+    }
+  }
+  
+  // Enrich spec with multi-environment servers block if config exists
+  if (envConfig) {
+    transformedSpec = enrichSpecWithEnvironments(transformedSpec, service, envConfig, log);
+  }
+
+  // Files to upload, root first. Split specs keep their layout relative to the root file.
+  const specFilePath = filePathArg
+    || (multiFile ? loaded.rootRel : (isYamlPath(openapiPath) ? 'index.yaml' : 'index.json'));
+  let uploadFiles;
+  let specSha;
+  if (multiFile) {
+    const transformedFiles = transformSpecFiles(loaded.files, loaded.rootRel, transformedSpec, { transformers, proxyRoutes, service, log });
+    const uploadPath = rel => (rel === loaded.rootRel ? specFilePath : path.posix.join(path.posix.dirname(specFilePath), rel));
+    uploadFiles = [...transformedFiles].map(([rel, doc]) => ({ path: uploadPath(rel), content: serializeSpecFile(doc, rel) }));
+    specSha = computeSpecSha({ files: Object.fromEntries([...transformedFiles].map(([rel, doc]) => [uploadPath(rel), doc])) });
+    // Diffs compare whole documents
+    transformedSpec = bundleSpecFiles(transformedFiles, loaded.rootRel);
+  } else {
+    uploadFiles = [{ path: specFilePath, content: serializeSpecFile(transformedSpec, specFilePath) }];
+    specSha = computeSpecSha(transformedSpec);
+  }
+  return { loaded, multiFile, specType, transformedSpec, specFilePath, uploadFiles, specSha };
+}
+
+function usageError(message) {
+  const err = new Error(message);
+  err.exitCode = 2;
+  return err;
+}
+
+// One spec_sync run. `args` uses the CLI flag names (e.g. { service, stage, openapi, 'dry-run': true });
+// pass a shared `store` (openStateStore) when running several syncs in one process so they share one update queue.
+async function syncSpec(args, { store: sharedStore } = {}) {
+  const {
+    domain = 'demo',
+    service,
+    stage,
+    openapi: openapiPath,
+    'file-path': filePathArg,
+    'spec-id': specIdArg,
+    'collection-uid': collectionUidArg,
+    'state-file': stateFile = DEFAULT_STATE_FILE,
+    poll,
+    force,
+    'dry-run': dryRun,
+    'fail-on-breaking': failOnBreaking,
+    'previous-spec': previousSpecPath,
+    'diff-format': diffFormat = 'text',
+    'version-label': versionLabel,
+    bundle,
+    'regenerate-collection': regenerateCollection,
+  } = args;
+
+  if (!service || !stage || !openapiPath) {
+    throw usageError('Usage: node scripts/spec_sync.js [--domain <domain>] --service <service> --stage <stage> --openapi <openapi.json|yaml> [--file-path index.json] [--bundle] [--spec-id SPEC_ID] [--collection-uid UID] [--state-file path] [--poll] [--force] [--dry-run] [--fail-on-breaking] [--previous-spec path] [--diff-format text|json] [--version-label LABEL] [--proxy-config path] [--overlay file[,file]] [--contract-tests] [--mock] [--regenerate-collection] [--max-retries N] [--folder-strategy Paths|Tags] [--parameters-resolution Schema|Example] [--include-deprecated true|false] ...\n'
+      + '  --domain defaults to "demo" if not provided');
+  }
+
+  const POSTMAN_API_KEY = requireEnv('POSTMAN_API_KEY');
+  const POSTMAN_WORKSPACE_ID = requireEnv('POSTMAN_WORKSPACE_ID');
+  setRetryOptions({ maxRetries: args['max-retries'] });
+
+  // Load environment configuration for multi-env support (also supplies naming templates)
+  const envConfig = loadEnvironmentConfig();
+  const contractTests = contractTestsEnabled({ config: envConfig, service, args });
+  const mock = mockOptions({ config: envConfig, service, args });
+
+  const sanitizedService = sanitizeServiceName(service);
+  const templates = resolveTemplates({ config: envConfig, service, args });
+  const nameVars = { domain, service: sanitizedService, stage, region: args.region || '', env: '' };
+  const specName = renderName(templates.spec, nameVars);
+  const collectionName = renderName(templates.collection, nameVars);
+  const mockName = renderName(templates.mock, nameVars);
+  const mockEnvName = configEnvironmentName(templates.configEnvironment, domain, service, { name: MOCK_ENVIRONMENT, stage, region: args.region || '' });
+  const collectionOptions = resolveCollectionOptions({ config: envConfig, service, args });
+  const store = sharedStore || openStateStore(stateFile);
+  const entryKey = key(domain, service, stage);
+  const entry = (await store.read()).entries[entryKey] || {};
+  // Only this run's entry is written back, re-read from the backend each time, so concurrent syncs of other services are kept
+  const saveEntry = () => store.putEntry(entryKey, entry);
+
+  // Bring names of already-tracked assets in line with the current templates
+  const renameSteps = await migrateAssetNames(entry, { specName, collectionName }, POSTMAN_API_KEY, dryRun);
+  if (renameSteps.length && !dryRun) {
+    await saveEntry();
+  }
+
+  // Options only apply at generation time; an existing collection keeps the ones it was generated with
+  const optionChanges = entry.collectionUid ? changedOptions(entry.collectionOptions, collectionOptions) : [];
+  if (optionChanges.length && !regenerateCollection) {
+    console.warn(`Collection generation options changed (${formatOptionChanges(optionChanges)}); pass --regenerate-collection to regenerate ${entry.collectionUid}`);
+  }
+
+  // read and transform openapi content for Postman compatibility
+  // (JSON or YAML; relative $refs pull in the other files of a split spec)
+  const { multiFile, specType, transformedSpec, specFilePath, uploadFiles, specSha } = prepareSpec({
+    openapiPath,
+    filePath: filePathArg,
+    bundle,
+    service,
+    envConfig,
+    proxyConfig: typeof args['proxy-config'] === 'string' ? args['proxy-config'] : undefined,
+    overlay: args.overlay,
+    workspaceId: POSTMAN_WORKSPACE_ID,
+  });
+  const fileText = uploadFiles[0].content;
+  // API Gateway authorizers: SigV4 needs collection-level auth, every kind needs environment variables
+  const auth = collectionAuth(transformedSpec);
+  const authVars = authVariables(transformedSpec);
+
+  // Skip entirely when the spec content matches what was last synced
+  if (!force && !regenerateCollection && entry.lastSpecSha === specSha && entry.specId && entry.collectionUid) {
+    console.log(`Spec unchanged since last sync (sha256 ${specSha.slice(0, 12)}); pass --force to sync anyway`);
+    // A new deployment label still gets its version even when the content didn't change
+    if (versionLabel && !dryRun) {
+      try {
+        if (await recordSpecVersion(entry, entry.specId, versionLabel, specSha, POSTMAN_API_KEY)) {
+          await saveEntry();
+        }
+      } catch (err) {
+        console.warn(`Failed to create Spec version ${versionLabel}: ${err.message}`);
+      }
+    }
+    if (!dryRun && args.region && args.region !== true && entry.region !== args.region) {
+      entry.region = args.region;
+      await saveEntry();
+    }
+    const skipSteps = [];
+    // Contract tests are not part of the spec hash, so turning them on doesn't wait for the next spec change;
+    // contractTestsSha says whether the blocks were already written for this spec, so the collection is
+    // only fetched when they may be out of date
+    if (contractTests && entry.contractTestsSha !== contractTestsSha(specSha)) {
+      try {
+        const counts = await addContractTests(entry.collectionUid, transformedSpec, POSTMAN_API_KEY, { dryRun });
+        if (counts.updated && dryRun) skipSteps.push(`add contract tests to ${counts.updated} collection request(s)`);
+        else if (counts.updated) console.log(`Contract tests: ${counts.updated} request(s) updated, ${counts.unchanged} unchanged`);
+        if (!dryRun) {
+          entry.contractTestsSha = contractTestsSha(specSha);
+          await saveEntry();
+        }
+      } catch (err) {
+        console.warn(`Failed to add contract tests to ${entry.collectionUid}: ${err.message}`);
+      }
+    } else if (!contractTests && entry.contractTestsSha && !dryRun) {
+      delete entry.contractTestsSha;
+      await saveEntry();
+    }
+    // Turning mocks on for a service doesn't wait for its next spec change either
+    if (mock && (!entry.mockId || !entry.environments?.[MOCK_ENVIRONMENT])) {
+      const mockTarget = { name: mockName, envName: mockEnvName, options: mock, writeEnvironment: !mockEnvironmentClash(envConfig, service) };
+      if (dryRun) {
+        skipSteps.push(...await planMockServer(POSTMAN_WORKSPACE_ID, entry, { ...mockTarget, collectionUid: entry.collectionUid }, POSTMAN_API_KEY));
       } else {
-        const createdId = await createSpec(POSTMAN_WORKSPACE_ID, specName, specFilePath, fileText, POSTMAN_API_KEY);
-        specId = typeof createdId === 'string' ? createdId : createdId?.id;
-        if (!specId) throw new Error('Failed to resolve specId from create response');
-        console.log(`Created Spec: ${specId}`);
+        try {
+          await syncMockServer(POSTMAN_WORKSPACE_ID, entry, mockTarget, POSTMAN_API_KEY);
+          await saveEntry();
+        } catch (err) {
+          console.warn(`Failed to create mock server ${mockName}: ${err.message}`);
+        }
       }
-      entry.specId = specId;
-      state.entries[entryKey] = entry;
-      saveState(stateFile, state);
-    } else {
-      console.log(`Using Spec: ${specId}`);
     }
+    if (dryRun && (renameSteps.length || skipSteps.length)) printPlan([...renameSteps, ...skipSteps]);
+    console.log(`Result: skipped (unchanged) for ${entryKey}`);
+    return { result: 'skipped', key: entryKey, specId: entry.specId, collectionUid: entry.collectionUid };
+  }
 
-    // Patch spec file content (one-property-per-call)
-    await patchSpecFile(specId, specFilePath, fileText, POSTMAN_API_KEY);
-    console.log(`Patched spec file ${specFilePath}`);
+  // Resolve specId read-only (prefer cached -> arg -> resolve-by-name); creation happens after the checks below
+  let specId = entry.specId || specIdArg;
+  let createdSpec = false;
+  if (!specId) {
+    const found = await findSpecByName(POSTMAN_WORKSPACE_ID, specName, POSTMAN_API_KEY);
+    if (found?.id) {
+      specId = found.id;
+      console.log(`Resolved Spec by name: ${specName} -> ${specId}`);
+    }
+  } else {
+    console.log(`Using Spec: ${specId}`);
+  }
 
-    // Resolve collection UID using multiple methods:
-    // 1. State file (entry.collectionUid)
-    // 2. Spec's generated collections (GET /specs/{specId}/collections)
-    // 3. Name lookup (findCollectionByName)
-    let collectionUid = entry.collectionUid || collectionUidArg;
-    
-    if (!collectionUid) {
-      // Try to find collection via spec's generated collections
-      const specCollections = await getSpecCollections(specId, POSTMAN_API_KEY);
-      if (specCollections && specCollections.length > 0) {
-        // Look for a collection matching our expected name
-        const matchingCol = specCollections.find(c => c.name === collectionName);
-        if (matchingCol?.uid) {
-          collectionUid = matchingCol.uid;
-          console.log(`Resolved Collection from spec's generated collections: ${collectionName} -> ${collectionUid}`);
-        } else if (specCollections[0]?.uid) {
-          // If only one collection exists for this spec, use it
-          collectionUid = specCollections[0].uid;
-          console.log(`Resolved Collection from spec (single collection): ${collectionUid}`);
-        }
+  // Breaking-change detection against an archived copy or the current Spec Hub file(s)
+  const remoteFiles = specId
+    ? (multiFile ? await getRemoteSpecFiles(specId, POSTMAN_API_KEY) : new Map([[specFilePath, await getSpecFile(specId, specFilePath, POSTMAN_API_KEY)]]))
+    : new Map();
+  const currentFileText = remoteFiles.get(specFilePath) ?? null;
+  if (previousSpecPath || currentFileText !== null) {
+    let previousSpec = null;
+    try {
+      if (previousSpecPath) {
+        const previous = loadLocalSpec(previousSpecPath);
+        previousSpec = previous.files.size > 1 ? bundleSpecFiles(previous.files, previous.rootRel) : previous.files.get(previous.rootRel);
+      } else {
+        previousSpec = bundleRemoteSpec(remoteFiles, specFilePath);
       }
+      previousSpec = normalizeSpecVersion(previousSpec).spec;
+    } catch (e) {
+      previousSpec = null;
+      console.warn(`Could not parse previous spec for diff (${previousSpecPath || 'Spec Hub file'}): ${e.message}`);
     }
-    
-    if (!collectionUid) {
-      // Fallback to name lookup
-      const foundCol = await findCollectionByName(POSTMAN_WORKSPACE_ID, collectionName, POSTMAN_API_KEY);
-      if (foundCol?.uid) {
-        collectionUid = foundCol.uid;
-        console.log(`Resolved Collection by name: ${collectionName} -> ${collectionUid}`);
+    if (previousSpec) {
+      const report = diffSpecs(previousSpec, transformedSpec);
+      console.log(diffFormat === 'json' ? JSON.stringify(report, null, 2) : formatReport(report));
+      if (failOnBreaking && report.summary.breaking > 0) {
+        const err = new Error(`Refusing to sync ${entryKey}: ${report.summary.breaking} breaking change(s) detected (--fail-on-breaking)`);
+        err.exitCode = 3;
+        throw err;
       }
     }
+  } else if (failOnBreaking) {
+    console.log('No previous spec available; skipping breaking-change check');
+  }
 
-    // Generate or sync collection
-    if (collectionUid) {
-      // Collection exists - sync it with the spec
-      console.log(`Syncing collection ${collectionUid} with spec ${specId}...`);
-      const { accepted, task } = await syncCollection(collectionUid, specId, POSTMAN_API_KEY);
-      console.log(`Sync requested (202 expected): ${accepted}, task: ${JSON.stringify(task)}`);
-      if (poll && task?.url) {
-        console.log(`Polling sync task...`);
-        const taskResult = await pollTask(task.url, POSTMAN_API_KEY);
-        console.log(`Sync task completed: ${JSON.stringify(taskResult)}`);
-        if (taskResult?.status !== 'success' && taskResult?.status !== 'completed') {
-          const errorMsg = taskResult?.details || taskResult?.error?.message || 'Unknown error';
-          throw new Error(`Collection sync failed: ${errorMsg}\nFull response: ${JSON.stringify(taskResult, null, 2)}`);
+  if (dryRun) {
+    const plan = [...renameSteps];
+    if (specId) {
+      for (const file of uploadFiles) {
+        const current = remoteFiles.get(file.path);
+        if (multiFile && current === undefined) {
+          plan.push(`add ${file.path} to spec ${specId}`);
+        } else if (multiFile && current === file.content) {
+          continue;
+        } else if (current == null) {
+          plan.push(`patch ${file.path} on spec ${specId} (current content unavailable)`);
+        } else {
+          plan.push(`patch ${file.path} on spec ${specId} (diff ${countChangedLines(current, file.content)} lines)`);
+        }
+      }
+      if (multiFile) {
+        for (const stale of [...remoteFiles.keys()].filter(p => !uploadFiles.some(f => f.path === p))) {
+          plan.push(`leave ${stale} on spec ${specId} (no longer referenced locally)`);
         }
       }
     } else {
-      // Collection doesn't exist - generate it from the spec
-      console.log(`No collection found. Generating collection "${collectionName}" from spec ${specId}...`);
-      const { accepted, task } = await generateCollectionFromSpec(
-        POSTMAN_WORKSPACE_ID,
-        specId,
-        collectionName,
-        POSTMAN_API_KEY
-      );
-
-      if (!accepted || !task?.url) {
-        throw new Error(`Failed to generate collection. Response: ${JSON.stringify(task)}`);
+      plan.push(`create spec ${specName} (${specType}) with ${uploadFiles.map(f => f.path).join(', ')}`);
+    }
+
+    let collectionUid = entry.collectionUid || collectionUidArg;
+    if (!collectionUid && specId) {
+      const specCollections = await getSpecCollections(specId, POSTMAN_API_KEY);
+      collectionUid = (specCollections.find(c => c.name === collectionName) || specCollections[0])?.uid;
+    }
+    if (!collectionUid) {
+      collectionUid = (await findCollectionByName(POSTMAN_WORKSPACE_ID, collectionName, POSTMAN_API_KEY))?.uid;
+    }
+    if (collectionUid && regenerateCollection) {
+      plan.push(`regenerate collection ${collectionName} and delete ${collectionUid}`);
+    } else {
+      plan.push(collectionUid
+        ? `sync collection ${collectionName} (${collectionUid})`
+        : `generate collection ${collectionName}`);
+    }
+    if (collectionUid && !regenerateCollection && optionChanges.length) {
+      plan.push(`keep generation options of ${collectionUid} (${formatOptionChanges(optionChanges)} needs --regenerate-collection)`);
+    } else if (!collectionUid || regenerateCollection) {
+      const custom = changedOptions(null, collectionOptions);
+      if (custom.length) plan.push(`collection options: ${custom.map(c => `${c.option}=${c.to}`).join(', ')}`);
+    }
+    if (auth) plan.push(`set collection auth: ${auth.type}`);
+    if (contractTests) plan.push('add contract tests to the collection requests');
+    if (versionLabel && !(entry.versions || []).some(v => v.label === versionLabel)) {
+      plan.push(`create spec version ${versionLabel}`);
+    }
+
+    if (envConfig) {
+      plan.push(...await planEnvironmentsFromConfig(POSTMAN_WORKSPACE_ID, domain, service, envConfig, POSTMAN_API_KEY, entry, templates.configEnvironment));
+    }
+    if (mock) {
+      plan.push(...await planMockServer(POSTMAN_WORKSPACE_ID, entry, {
+        name: mockName,
+        envName: mockEnvName,
+        options: mock,
+        collectionUid: regenerateCollection ? null : collectionUid,
+        writeEnvironment: !mockEnvironmentClash(envConfig, service),
+      }, POSTMAN_API_KEY));
+    }
+    plan.push(`write state entry ${entryKey} to ${store.location}`);
+    printPlan(plan);
+    return { result: 'planned', key: entryKey, specId, collectionUid, plan };
+  }
+
+  if (!specId) {
+    const createdId = await createSpec(POSTMAN_WORKSPACE_ID, specName, uploadFiles, POSTMAN_API_KEY, specType);
+    specId = typeof createdId === 'string' ? createdId : createdId?.id;
+    if (!specId) throw new Error('Failed to resolve specId from create response');
+    createdSpec = true;
+    rememberInWorkspace('specs', POSTMAN_WORKSPACE_ID, { id: specId, name: specName });
+    console.log(`Created Spec: ${specId} (${specType})`);
+  }
+  if (entry.specId !== specId) {
+    entry.specId = specId;
+    await saveEntry();
+  }
+
+  // Patch spec file content (one-property-per-call); split specs add files that are new since the last sync
+  if (!multiFile) {
+    await patchSpecFile(specId, specFilePath, fileText, POSTMAN_API_KEY);
+    console.log(`Patched spec file ${specFilePath}`);
+  } else if (!createdSpec) {
+    for (const file of uploadFiles) {
+      if (remoteFiles.get(file.path) === file.content) continue;
+      if (remoteFiles.has(file.path)) {
+        await patchSpecFile(specId, file.path, file.content, POSTMAN_API_KEY);
+        console.log(`Patched spec file ${file.path}`);
+      } else {
+        await createSpecFile(specId, file.path, file.content, POSTMAN_API_KEY);
+        console.log(`Added spec file ${file.path}`);
       }
+    }
+    for (const stale of [...remoteFiles.keys()].filter(p => !uploadFiles.some(f => f.path === p))) {
+      console.warn(`Spec file ${stale} is no longer referenced by ${specFilePath}; left in place`);
+    }
+  }
 
-      console.log(`Generation task started: ${JSON.stringify(task)}`);
-      
-      // Always poll generation tasks to get the collection UID
-      console.log(`Polling generation task...`);
-      const taskResult = await pollTask(task.url, POSTMAN_API_KEY);
-      console.log(`Generation task completed: ${JSON.stringify(taskResult)}`);
+  // Resolve collection UID using multiple methods:
+  // 1. State file (entry.collectionUid)
+  // 2. Spec's generated collections (GET /specs/{specId}/collections)
+  // 3. Name lookup (findCollectionByName)
+  let collectionUid = entry.collectionUid || collectionUidArg;
+  
+  if (!collectionUid) {
+    // Try to find collection via spec's generated collections
+    const specCollections = await getSpecCollections(specId, POSTMAN_API_KEY);
+    if (specCollections && specCollections.length > 0) {
+      // Look for a collection matching our expected name
+      const matchingCol = specCollections.find(c => c.name === collectionName);
+      if (matchingCol?.uid) {
+        collectionUid = matchingCol.uid;
+        console.log(`Resolved Collection from spec's generated collections: ${collectionName} -> ${collectionUid}`);
+      } else if (specCollections[0]?.uid) {
+        // If only one collection exists for this spec, use it
+        collectionUid = specCollections[0].uid;
+        console.log(`Resolved Collection from spec (single collection): ${collectionUid}`);
+      }
+    }
+  }
+  
+  if (!collectionUid) {
+    // Fallback to name lookup
+    const foundCol = await findCollectionByName(POSTMAN_WORKSPACE_ID, collectionName, POSTMAN_API_KEY);
+    if (foundCol?.uid) {
+      collectionUid = foundCol.uid;
+      console.log(`Resolved Collection by name: ${collectionName} -> ${collectionUid}`);
+    }
+  }
+
+  // --regenerate-collection replaces the existing collection with one generated using the current options
+  let replacedCollectionUid = null;
+  if (collectionUid && regenerateCollection) {
+    replacedCollectionUid = collectionUid;
+    collectionUid = null;
+  }
 
+  // Generate or sync collection
+  if (collectionUid) {
+    // Collection exists - sync it with the spec
+    console.log(`Syncing collection ${collectionUid} with spec ${specId}...`);
+    const { accepted, task } = await syncCollection(collectionUid, specId, POSTMAN_API_KEY);
+    console.log(`Sync requested (202 expected): ${accepted}, task: ${JSON.stringify(task)}`);
+    // Contract tests go onto the synced requests, so the sync has to finish first
+    if ((poll || contractTests) && task?.url) {
+      console.log(`Polling sync task...`);
+      const taskResult = await pollTask(task.url, POSTMAN_API_KEY);
+      console.log(`Sync task completed: ${JSON.stringify(taskResult)}`);
       if (taskResult?.status !== 'success' && taskResult?.status !== 'completed') {
         const errorMsg = taskResult?.details || taskResult?.error?.message || 'Unknown error';
-        throw new Error(`Collection generation failed: ${errorMsg}\nFull response: ${JSON.stringify(taskResult, null, 2)}`);
+        throw new Error(`Collection sync failed: ${errorMsg}\nFull response: ${JSON.stringify(taskResult, null, 2)}`);
       }
+    }
+  } else {
+    // Collection doesn't exist - generate it from the spec
+    console.log(replacedCollectionUid
+      ? `Regenerating collection "${collectionName}" from spec ${specId} (replaces ${replacedCollectionUid})...`
+      : `No collection found. Generating collection "${collectionName}" from spec ${specId}...`);
+    const { accepted, task } = await generateCollectionFromSpec(
+      POSTMAN_WORKSPACE_ID,
+      specId,
+      collectionName,
+      collectionOptions,
+      POSTMAN_API_KEY
+    );
 
-      // Extract collection UID from task result
-      // Task result structure: { details: { resources: [{ url: "/collections/{uid}", id: "{uid}" }] } }
-      let generatedCollectionUid = null;
-      
-      // Try to extract from resources array in details
-      if (taskResult?.details?.resources && Array.isArray(taskResult.details.resources)) {
-        const resource = taskResult.details.resources.find(r => r.url?.includes('/collections/'));
-        if (resource) {
-          generatedCollectionUid = resource.id || resource.url?.split('/collections/')[1];
-        }
+    if (!accepted || !task?.url) {
+      throw new Error(`Failed to generate collection. Response: ${JSON.stringify(task)}`);
+    }
+
+    console.log(`Generation task started: ${JSON.stringify(task)}`);
+    
+    // Always poll generation tasks to get the collection UID
+    console.log(`Polling generation task...`);
+    const taskResult = await pollTask(task.url, POSTMAN_API_KEY);
+    console.log(`Generation task completed: ${JSON.stringify(taskResult)}`);
+
+    if (taskResult?.status !== 'success' && taskResult?.status !== 'completed') {
+      const errorMsg = taskResult?.details || taskResult?.error?.message || 'Unknown error';
+      throw new Error(`Collection generation failed: ${errorMsg}\nFull response: ${JSON.stringify(taskResult, null, 2)}`);
+    }
+
+    // Extract collection UID from task result
+    // Task result structure: { details: { resources: [{ url: "/collections/{uid}", id: "{uid}" }] } }
+    let generatedCollectionUid = null;
+    
+    // Try to extract from resources array in details
+    if (taskResult?.details?.resources && Array.isArray(taskResult.details.resources)) {
+      const resource = taskResult.details.resources.find(r => r.url?.includes('/collections/'));
+      if (resource) {
+        generatedCollectionUid = resource.id || resource.url?.split('/collections/')[1];
       }
-      
-      // Fallback to other possible locations
-      if (!generatedCollectionUid) {
-        generatedCollectionUid = taskResult?.result?.collection?.uid || 
-                                 taskResult?.collection?.uid || 
-                                 taskResult?.result?.uid ||
-                                 taskResult?.uid;
+    }
+    
+    // Fallback to other possible locations
+    if (!generatedCollectionUid) {
+      generatedCollectionUid = taskResult?.result?.collection?.uid || 
+                               taskResult?.collection?.uid || 
+                               taskResult?.result?.uid ||
+                               taskResult?.uid;
+    }
+    
+    if (!generatedCollectionUid) {
+      // If we can't get UID from task result, try to find the collection by name
+      console.log(`Warning: Could not extract collection UID from task result. Looking up by name...`);
+      invalidateWorkspaceIndex('collections', POSTMAN_WORKSPACE_ID);
+      const foundCollection = await findCollectionByName(POSTMAN_WORKSPACE_ID, collectionName, POSTMAN_API_KEY);
+      if (foundCollection?.uid && foundCollection.uid !== replacedCollectionUid) {
+        console.log(`Found collection by name: ${foundCollection.uid}`);
+        generatedCollectionUid = foundCollection.uid;
+      } else {
+        throw new Error(`Failed to extract collection UID and collection not found by name. Task result: ${JSON.stringify(taskResult)}`);
       }
-      
-      if (!generatedCollectionUid) {
-        // If we can't get UID from task result, try to find the collection by name
-        console.log(`Warning: Could not extract collection UID from task result. Looking up by name...`);
-        const foundCollection = await findCollectionByName(POSTMAN_WORKSPACE_ID, collectionName, POSTMAN_API_KEY);
-        if (foundCollection?.uid) {
-          console.log(`Found collection by name: ${foundCollection.uid}`);
-          generatedCollectionUid = foundCollection.uid;
-        } else {
-          throw new Error(`Failed to extract collection UID and collection not found by name. Task result: ${JSON.stringify(taskResult)}`);
-        }
+    }
+
+    collectionUid = generatedCollectionUid;
+    rememberInWorkspace('collections', POSTMAN_WORKSPACE_ID, { uid: collectionUid, name: collectionName });
+    console.log(`Generated Collection: ${collectionName} (${collectionUid})`);
+    console.log(`Collection is automatically linked to spec ${specId}`);
+    entry.collectionOptions = collectionOptions;
+
+    if (replacedCollectionUid) {
+      try {
+        await deleteCollection(replacedCollectionUid, POSTMAN_API_KEY);
+        forgetInWorkspace('collections', POSTMAN_WORKSPACE_ID, replacedCollectionUid);
+        console.log(`Deleted previous collection ${replacedCollectionUid}`);
+      } catch (err) {
+        console.warn(`Failed to delete previous collection ${replacedCollectionUid}: ${err.message}`);
       }
+    }
+  }
 
-      collectionUid = generatedCollectionUid;
-      console.log(`Generated Collection: ${collectionName} (${collectionUid})`);
-      console.log(`Collection is automatically linked to spec ${specId}`);
+  if (auth) {
+    try {
+      await setCollectionAuth(collectionUid, auth, POSTMAN_API_KEY);
+      console.log(`Set collection auth: ${auth.type}`);
+    } catch (err) {
+      console.warn(`Failed to set collection auth on ${collectionUid}: ${err.message}`);
     }
+  }
 
-    // Update state file with collection UID
-    entry.collectionUid = collectionUid;
-    if (!entry.specId) {
-      entry.specId = specId;
+  // Cleared until the blocks are written for this spec, so a failure is retried by the next (skipped) run
+  delete entry.contractTestsSha;
+  if (contractTests) {
+    try {
+      const counts = await addContractTests(collectionUid, transformedSpec, POSTMAN_API_KEY);
+      console.log(`Contract tests: ${counts.updated} request(s) updated, ${counts.unchanged} unchanged${counts.unmatched ? `, ${counts.unmatched} without a matching operation` : ''}`);
+      entry.contractTestsSha = contractTestsSha(specSha);
+    } catch (err) {
+      console.warn(`Failed to add contract tests to ${collectionUid}: ${err.message}`);
     }
+  }
 
-    // Create/update Postman environments from config
-    if (envConfig) {
-      console.log(''); // Blank line for readability
-      const createdEnvs = await createEnvironmentsFromConfig(
-        POSTMAN_WORKSPACE_ID,
-        domain,
-        service,
-        envConfig,
-        POSTMAN_API_KEY,
-        entry
-      );
-      
-      if (Object.keys(createdEnvs).length > 0) {
-        entry.environments = { ...entry.environments, ...createdEnvs };
-        console.log(`Created/updated ${Object.keys(createdEnvs).length} environments`);
-      }
+  // Update state file with collection UID and the hash of the content just synced
+  entry.collectionUid = collectionUid;
+  if (!entry.specId) {
+    entry.specId = specId;
+  }
+  entry.specName = specName;
+  entry.collectionName = collectionName;
+  entry.lastSpecSha = specSha;
+  if (args.region && args.region !== true) entry.region = args.region;
+
+  if (versionLabel) {
+    try {
+      await recordSpecVersion(entry, specId, versionLabel, specSha, POSTMAN_API_KEY);
+    } catch (err) {
+      console.warn(`Failed to create Spec version ${versionLabel}: ${err.message}`);
     }
+  }
 
-    state.entries[entryKey] = entry;
-    saveState(stateFile, state);
-    console.log(`State file updated for ${entryKey}`);
-  } catch (err) {
-    console.error(err.stack || String(err));
-    process.exit(1);
+  // Create/update Postman environments from config
+  if (envConfig) {
+    console.log(''); // Blank line for readability
+    const createdEnvs = await createEnvironmentsFromConfig(
+      POSTMAN_WORKSPACE_ID,
+      domain,
+      service,
+      envConfig,
+      POSTMAN_API_KEY,
+      entry,
+      templates.configEnvironment,
+      authVars
+    );
+    
+    if (Object.keys(createdEnvs).length > 0) {
+      entry.environments = { ...entry.environments, ...createdEnvs };
+      console.log(`Created/updated ${Object.keys(createdEnvs).length} environments`);
+    }
+  }
+
+  // After the collection has its examples: the mock serves them
+  if (mock) {
+    try {
+      await syncMockServer(POSTMAN_WORKSPACE_ID, entry, { name: mockName, envName: mockEnvName, options: mock, writeEnvironment: !mockEnvironmentClash(envConfig, service) }, POSTMAN_API_KEY);
+    } catch (err) {
+      console.warn(`Failed to create/update mock server ${mockName}: ${err.message}`);
+    }
   }
-})();
+
+  await saveEntry();
+  console.log(`State updated for ${entryKey} (${store.location})`);
+  console.log(`Result: ${createdSpec ? 'created' : 'updated'} for ${entryKey}`);
+  return { result: createdSpec ? 'created' : 'updated', key: entryKey, specId, collectionUid, mockUrl: entry.mockUrl };
+}
+
+if (require.main === module) {
+  syncSpec(parseArgs(process.argv)).catch((err) => {
+    // Usage errors (2) and --fail-on-breaking refusals (3) are expected outcomes, not crashes
+    console.error(err.exitCode ? err.message : (err.stack || String(err)));
+    process.exit(err.exitCode || 1);
+  });
+}
+
+module.exports = {
+  syncSpec,
+  prepareSpec,
+  stateKey: key,
+  computeSpecSha,
+  getRemoteSpecFiles,
+  loadEnvironmentConfig,
+  getServiceEnvironments,
+  configEnvironmentName,
+};
 
@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+/*
+Inspect and edit the ingestion state (any backend spec_sync.js supports).
+
+Usage:
+  node scripts/state.js list [--match <glob>] [--json]     entries (key glob, e.g. "payments:*:prod")
+  node scripts/state.js show [<key>]                        one entry, or the whole state, as JSON
+  node scripts/state.js set <key> <field> <value> [--json]  set a field (dotted path, e.g. environments.dev);
+                                                            --json parses the value as JSON
+  node scripts/state.js set <key> <entry-json> --json       replace the whole entry
+  node scripts/state.js rm <key> [<field>] --yes            remove an entry or one of its fields
+  node scripts/state.js validate                            check against state/state.schema.json
+  node scripts/state.js migrate [--dry-run]                 rewrite the state in the current schema version
+
+Common args:
+  --state-file <path|URI> (default: state/postman-ingestion-state.json; s3:// and dynamodb:// as in spec_sync.js)
+
+Notes:
+- Edits go through the same store as spec_sync.js: they are validated against the schema
+  before anything is written and use the backend's locking, so they are safe while syncs run
+- list, show, set and rm load the state without validating it (only unparseable JSON stops them), so a
+  state that spec_sync.js rejects can be inspected and its offending entries fixed or removed; an edit is
+  written as long as it adds no schema problem (the others can be fixed one edit at a time)
+- `set` only edits existing entries unless --create is passed
+- `rm` only changes the state; the Postman spec, collection and environments are left alone.
+  Without --yes it prints what would be removed and exits 2
+- Exit codes: 0 ok, 1 error or invalid state (validate), 2 usage error / missing --yes
+*/
+
+const { openStateStore, DEFAULT_STATE_FILE } = require('./lib/state_store');
+const { CURRENT_SCHEMA_VERSION } = require('./lib/state_schema');
+
+const BOOLEAN_FLAGS = new Set(['json', 'yes', 'create', 'dry-run']);
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 2; i < argv.length; i++) {
+    const k = argv[i];
+    if (k.startsWith('--')) {
+      const key = k.replace(/^--/, '');
+      const val = !BOOLEAN_FLAGS.has(key) && argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+      args[key] = val;
+    } else {
+      args._.push(k);
+    }
+  }
+  return args;
+}
+
+function usageError(message) {
+  const err = new Error(message);
+  err.exitCode = 2;
+  return err;
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function parseValue(raw, asJson) {
+  if (!asJson) return raw;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw usageError(`Invalid JSON value: ${e.message}`);
+  }
+}
+
+function splitField(field) {
+  const parts = field.split('.').filter(Boolean);
+  if (!parts.length) throw usageError(`Invalid field path: ${field}`);
+  return parts;
+}
+
+function setField(target, parts, value) {
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    if (node[part] === undefined) node[part] = {};
+    if (typeof node[part] !== 'object' || node[part] === null) throw usageError(`${parts.join('.')}: ${part} is not an object`);
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+function getField(target, parts) {
+  return parts.reduce((node, part) => (node == null ? undefined : node[part]), target);
+}
+
+function deleteField(target, parts) {
+  const parent = getField(target, parts.slice(0, -1));
+  if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+}
+
+// The state as stored (migrated, not validated); schema problems are reported but don't stop inspect/edit commands
+async function readUnchecked(store) {
+  const { state, errors } = await store.inspect();
+  if (errors.length) {
+    console.warn(`Warning: ${store.location} does not match schema v${CURRENT_SCHEMA_VERSION} (${errors.length} problem(s); see: node scripts/state.js validate)`);
+  }
+  return state;
+}
+
+function requireEntry(state, key) {
+  const entry = state.entries?.[key];
+  if (!entry) throw usageError(`No state entry ${key} (see: node scripts/state.js list)`);
+  return entry;
+}
+
+async function list(store, args) {
+  const state = await readUnchecked(store);
+  const pattern = args.match && args.match !== true ? globToRegExp(args.match) : null;
+  const keys = Object.keys(state.entries || {}).filter(k => !pattern || pattern.test(k)).sort();
+  if (args.json) {
+    console.log(JSON.stringify(Object.fromEntries(keys.map(k => [k, state.entries[k]])), null, 2));
+    return;
+  }
+  if (!keys.length) {
+    console.log(`No entries${pattern ? ` matching ${args.match}` : ''} in ${store.location}`);
+    return;
+  }
+  const width = Math.max(...keys.map(k => k.length));
+  for (const k of keys) {
+    const e = state.entries[k];
+    const parts = [
+      `spec ${e.specId || '-'}`,
+      `collection ${e.collectionUid || '-'}`,
+      `sha ${e.lastSpecSha ? e.lastSpecSha.slice(0, 12) : '-'}`,
+    ];
+    if (e.environments && Object.keys(e.environments).length) parts.push(`${Object.keys(e.environments).length} env(s)`);
+    if (e.versions?.length) parts.push(`${e.versions.length} version(s)`);
+    console.log(`${k.padEnd(width)}  ${parts.join('  ')}`);
+  }
+  console.log(`${keys.length} entr${keys.length === 1 ? 'y' : 'ies'} in ${store.location}`);
+}
+
+async function show(store, args) {
+  const state = await readUnchecked(store);
+  const [key] = args._;
+  console.log(JSON.stringify(key ? requireEntry(state, key) : state, null, 2));
+}
+
+async function set(store, args) {
+  const [key, fieldOrEntry, raw] = args._;
+  if (!key || fieldOrEntry === undefined) throw usageError('Usage: node scripts/state.js set <key> <field> <value> [--json] | set <key> <entry-json> --json');
+  const replaceEntry = raw === undefined;
+  if (replaceEntry && !args.json) throw usageError('Replacing a whole entry needs --json');
+  const value = parseValue(replaceEntry ? fieldOrEntry : raw, args.json);
+
+  let previous;
+  await store.update((state) => {
+    if (!state.entries[key] && !args.create) requireEntry(state, key);
+    const entry = state.entries[key] || {};
+    if (replaceEntry) {
+      previous = state.entries[key];
+      state.entries[key] = value;
+      return;
+    }
+    const parts = splitField(fieldOrEntry);
+    previous = getField(entry, parts);
+    setField(entry, parts, value);
+    state.entries[key] = entry;
+  }, { repair: true });
+  const target = replaceEntry ? key : `${key} ${fieldOrEntry}`;
+  console.log(`Set ${target}: ${JSON.stringify(previous)} -> ${JSON.stringify(value)}`);
+}
+
+async function rm(store, args) {
+  const [key, field] = args._;
+  if (!key) throw usageError('Usage: node scripts/state.js rm <key> [<field>] --yes');
+  const state = await readUnchecked(store);
+  const entry = requireEntry(state, key);
+  const parts = field ? splitField(field) : null;
+  const removed = parts ? getField(entry, parts) : entry;
+  if (removed === undefined) throw usageError(`${key} has no field ${field}`);
+  const target = parts ? `${key} ${field}` : key;
+
+  if (!args.yes) {
+    console.log(`Would remove ${target}:`);
+    console.log(JSON.stringify(removed, null, 2));
+    throw usageError('Pass --yes to remove it');
+  }
+  await store.update((fresh) => {
+    if (!fresh.entries[key]) return;
+    if (parts) deleteField(fresh.entries[key], parts);
+    else delete fresh.entries[key];
+  }, { repair: true });
+  console.log(`Removed ${target} from ${store.location} (Postman assets were not changed). Previous value:`);
+  console.log(JSON.stringify(removed, null, 2));
+}
+
+async function validate(store) {
+  const { exists, fromVersion, applied, errors, state } = await store.inspect();
+  if (!exists) {
+    console.log(`${store.location} does not exist yet (created on first sync)`);
+    return 0;
+  }
+  console.log(`${store.location}: schema v${fromVersion}, ${Object.keys(state.entries || {}).length} entries`);
+  for (const step of applied) console.log(`  pending migration ${step}`);
+  if (errors.length) {
+    console.error(`Invalid against schema v${CURRENT_SCHEMA_VERSION}:`);
+    for (const e of errors) console.error(`  ${e.path}: ${e.message}`);
+    return 1;
+  }
+  console.log(`✓ Valid (schema v${CURRENT_SCHEMA_VERSION})`);
+  return 0;
+}
+
+async function migrate(store, args) {
+  const { exists, fromVersion, applied } = await store.inspect();
+  if (!exists || !applied.length) {
+    console.log(`${store.location} is already at schema v${CURRENT_SCHEMA_VERSION}${exists ? '' : ' (no state yet)'}`);
+    return;
+  }
+  for (const step of applied) console.log(`${args['dry-run'] ? 'Would apply' : 'Applying'} ${step}`);
+  if (args['dry-run']) return;
+  await store.update(() => {});
+  console.log(`Migrated ${store.location} from schema v${fromVersion} to v${CURRENT_SCHEMA_VERSION}`);
+}
+
+const COMMANDS = { list, show, set, rm, validate, migrate };
+
+(async () => {
+  try {
+    const args = parseArgs(process.argv);
+    const command = args._.shift();
+    if (!COMMANDS[command]) {
+      throw usageError(`Usage: node scripts/state.js <${Object.keys(COMMANDS).join('|')}> [args] [--state-file path|URI]`);
+    }
+    const store = openStateStore(args['state-file'] && args['state-file'] !== true ? args['state-file'] : DEFAULT_STATE_FILE);
+    const code = await COMMANDS[command](store, args);
+    if (code) process.exit(code);
+  } catch (err) {
+    console.error(err.exitCode ? err.message : (err.stack || String(err)));
+    process.exit(err.exitCode || 1);
+  }
+})();